@@ -0,0 +1,147 @@
+/* what to do with files of a batch that would be given the same public ID */
+const COLLISION_POLICIES = Object.freeze({
+    ERROR: 'error',
+    SKIP: 'skip',
+    SUFFIX: 'suffix',
+    KEEP_EXTENSION: 'keep-extension'
+});
+
+/* what to do with files of a batch whose contents are identical to another file's */
+const DUPLICATE_POLICIES = Object.freeze({
+    REPORT: 'report',
+    SKIP: 'skip'
+});
+
+/**
+ * @typedef {Object} conflict - A file that conflicts with another file of the batch.
+ * 
+ * @property {string} filename - Filename of the file, relative to the image directory.
+ * 
+ * @property {string} conflictsWith - Filename of the file it conflicts with.
+ * 
+ * @property {string|null} publicId - Public ID the files share, including the folder; null for duplicates.
+ */
+
+/**
+ * Get the full public ID of a file's upload params, including its folder.
+ * 
+ * @param {{}} params
+ * 
+ * @returns {string}
+ */
+const fullPublicId = params => typeof params.folder === 'string' && params.folder.length > 0 ?
+    `${params.folder}/${params.public_id}` :
+    params.public_id;
+
+/**
+ * Check that a policy is one of the allowed values.
+ * 
+ * @param {string|null} policy
+ * 
+ * @param {{}} policies
+ * 
+ * @param {string} option - Name of the option; used in error messages.
+ */
+const checkPolicy = (policy, policies, option) => {
+    if (policy !== null && !Object.values(policies).includes(policy)) {
+        throw new TypeError(
+            `Unknown ${option} policy "${policy}"; expected one of: ${Object.values(policies).join(', ')}.`
+        );
+    }
+};
+
+/**
+ * Find files that would be given the same public ID as another file of the batch, such as
+ * logo.png and logo.jpg. With the suffix policy, the first file of each group of colliding files,
+ * by filename, keeps its public ID and the others are given a numbered suffix (logo-1, logo-2). With
+ * the keep-extension policy, every file of the group keeps its extension (logo_png, logo_jpg). Renamed
+ * files' params are updated in place. With the skip policy, the files after the first are returned,
+ * and with the error policy, every file of the group is, since none can be chosen over the others.
+ * 
+ * @param {Map<string, {}>} fileParams - Upload params of each file of the batch, keyed by filename.
+ * 
+ * @param {string} policy - One of COLLISION_POLICIES.
+ * 
+ * @returns {conflict[]} - Files that collide and weren't renamed.
+ */
+const resolveCollisions = (fileParams, policy) => {
+    /* files grouped by public ID, in filename order so the same file is kept whatever order
+        the files were validated in */
+    const groups = new Map();
+    for (const filename of [...fileParams.keys()].sort()) {
+        const publicId = fullPublicId(fileParams.get(filename));
+        groups.set(publicId, [...groups.get(publicId) ?? [], filename]);
+    }
+
+    const taken = new Set(groups.keys());
+    const conflicts = [];
+
+    /* give a file a public ID no other file of the batch has */
+    const rename = (filename, baseId) => {
+        const params = fileParams.get(filename);
+        let publicId = baseId;
+        for (let n = 1; taken.has(fullPublicId({ ...params, public_id: publicId })); ++n) {
+            publicId = `${baseId}-${n}`;
+        }
+        params.public_id = publicId;
+        taken.add(fullPublicId(params));
+    };
+
+    for (const [publicId, [first, ...others]] of groups) {
+        if (others.length === 0) {
+            continue;
+        }
+        switch (policy) {
+            case COLLISION_POLICIES.SUFFIX:
+                others.forEach(filename => rename(filename, fileParams.get(filename).public_id));
+                break;
+            case COLLISION_POLICIES.KEEP_EXTENSION:
+                /* a dot would be read as the format in delivery URLs, so join the extension with an underscore */
+                taken.delete(publicId);
+                for (const filename of [first, ...others]) {
+                    const ext = filename.substring(filename.lastIndexOf('.') + 1).toLowerCase();
+                    rename(filename, `${fileParams.get(filename).public_id}_${ext}`);
+                }
+                break;
+            case COLLISION_POLICIES.ERROR:
+                conflicts.push({ filename: first, conflictsWith: others[0], publicId });
+                conflicts.push(...others.map(filename => ({ filename, conflictsWith: first, publicId })));
+                break;
+            default:
+                conflicts.push(...others.map(filename => ({ filename, conflictsWith: first, publicId })));
+        }
+    }
+    return conflicts;
+};
+
+/**
+ * Find files whose contents are identical to another file of the batch. The first file of each
+ * group of identical files, by filename, isn't a duplicate.
+ * 
+ * @param {Map<string, string>} hashes - Content hash of each file of the batch, keyed by filename.
+ * 
+ * @returns {conflict[]}
+ */
+const findDuplicates = hashes => {
+    const originals = new Map();
+    const duplicates = [];
+    for (const filename of [...hashes.keys()].sort()) {
+        const original = originals.get(hashes.get(filename));
+        if (original === undefined) {
+            originals.set(hashes.get(filename), filename);
+        }
+        else {
+            duplicates.push({ filename, conflictsWith: original, publicId: null });
+        }
+    }
+    return duplicates;
+};
+
+module.exports = {
+    COLLISION_POLICIES,
+    DUPLICATE_POLICIES,
+    checkPolicy,
+    fullPublicId,
+    resolveCollisions,
+    findDuplicates
+};
\ No newline at end of file
@@ -0,0 +1,109 @@
+const { createReadStream } = require('fs');
+
+/**
+ * Class that reads a file sequentially, buffering only as much of it as needed.
+ */
+const ByteReader = class {
+    /** @type {AsyncIterator<Buffer>} */
+    #chunks;
+    #buffer = Buffer.alloc(0);
+    #cursor = 0;
+
+    /* position in the file of the next byte to be read */
+    position = 0;
+
+    /**
+     * @param {string} filename
+     */
+    constructor(filename) {
+        this.#chunks = createReadStream(filename)[Symbol.asyncIterator]();
+    }
+    /**
+     * Buffer at least a number of bytes. Returns false if the file ends first.
+     * 
+     * @param {number} length
+     * 
+     * @returns {Promise<boolean>}
+     */
+    async ensure(length) {
+        while (this.#buffer.length - this.#cursor < length) {
+            const { value, done } = await this.#chunks.next();
+            if (done) {
+                return false;
+            }
+            this.#buffer = Buffer.concat([this.#buffer.subarray(this.#cursor), value]);
+            this.#cursor = 0;
+        }
+        return true;
+    }
+    /**
+     * Get the buffered bytes that haven't been read yet.
+     * 
+     * @returns {Buffer}
+     */
+    peek() {
+        return this.#buffer.subarray(this.#cursor);
+    }
+    /**
+     * Mark buffered bytes as read.
+     * 
+     * @param {number} length
+     */
+    consume(length) {
+        this.#cursor += length;
+        this.position += length;
+    }
+    /**
+     * Read a number of bytes. Returns null if the file ends first.
+     * 
+     * @param {number} length
+     * 
+     * @returns {Promise<Buffer|null>}
+     */
+    async read(length) {
+        if (!await this.ensure(length)) {
+            return null;
+        }
+        const bytes = this.peek().subarray(0, length);
+        this.consume(length);
+        return bytes;
+    }
+    /**
+     * Read a single byte. Returns null if the file has ended.
+     * 
+     * @returns {Promise<number|null>}
+     */
+    async readByte() {
+        return (await this.read(1))?.[0] ?? null;
+    }
+    /**
+     * Read past a number of bytes without buffering all of them at once. Returns false if the
+     * file ends first.
+     * 
+     * @param {number} length
+     * 
+     * @param {(data: Buffer) => void} [onData] - Called with each part of the bytes read past.
+     * 
+     * @returns {Promise<boolean>}
+     */
+    async skip(length, onData = null) {
+        while (length > 0) {
+            if (!await this.ensure(1)) {
+                return false;
+            }
+            const data = this.peek().subarray(0, length);
+            onData?.(data);
+            this.consume(data.length);
+            length -= data.length;
+        }
+        return true;
+    }
+    /**
+     * Stop reading the file.
+     */
+    async close() {
+        await this.#chunks.return?.();
+    }
+};
+
+module.exports = ByteReader;
\ No newline at end of file
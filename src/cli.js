@@ -0,0 +1,681 @@
+#!/usr/bin/env node
+
+const { parseArgs } = require('util');
+
+const { sep } = require('path');
+
+const CloudinaryUploader = require('./cloudinary_uploader');
+
+const loadConfig = require('./load_config');
+
+const ErrorLog = require('./error_log');
+
+const Uploader = require('./uploader');
+
+const ImageValidator = require('./image_validation');
+
+const formatBytes = require('./format_bytes');
+
+const NamingStrategy = require('./naming_strategy');
+
+const { ConfigError } = require('./errors');
+
+/* exit codes */
+const EXIT_SUCCESS = 0;
+const EXIT_UPLOAD_FAILED = 1;
+const EXIT_USAGE = 2;
+
+/* formats of the --log-file option */
+const LOG_FORMATS = ['text', 'json'];
+
+const USAGE = `Usage:
+  cloudinary-upload <dir> [options]   Upload the images in <dir> to Cloudinary
+  cloudinary-upload retry <log> <dir> [options]
+                                      Upload again the files of <dir> that failed in a
+                                      previous run, as recorded in <log>: a jsonl or csv
+                                      error file or a --json report
+  cloudinary-upload ping [options]    Test the connection to the Cloudinary API
+
+Credentials:
+  --api-key <key>            Cloudinary API key
+  --api-secret <secret>      Cloudinary API secret
+  --cloud-name <name>        Cloudinary cloud name
+  --upload-preset <name>     Upload preset to apply; without an API secret, uploads are
+                             unsigned and only the cloud name is needed
+  --signature-algorithm <alg>
+                             Algorithm to sign uploads with: sha256 or sha1, matching
+                             the account's setting (default: sha256)
+  --profile <name>           Config file profile to use (default: $CLOUDINARY_PROFILE)
+  --config <path>            Config file to read (default: .cloudinaryrc.json or
+                             cloudinary.config.js in the working directory)
+
+  Credentials not given as options are read from the selected profile, then from
+  $CLOUDINARY_URL or $CLOUDINARY_API_KEY, $CLOUDINARY_API_SECRET,
+  $CLOUDINARY_CLOUD_NAME, $CLOUDINARY_UPLOAD_PRESET and
+  $CLOUDINARY_SIGNATURE_ALGORITHM, then from the top level of the config file.
+
+Upload options:
+  -f, --file <name>          Upload only this file from <dir>; repeat for more files
+  -t, --types <list>         Comma-separated file types to upload, e.g. png,jpg
+      --reject-unknown-types Consider files of types that can't be validated invalid
+      --validation <level>   basic checks file headers; deep also reads PNG, JPEG and
+                             GIF files in full to catch corrupt files (default: basic)
+      --min-width <px>       Consider images narrower than this invalid
+      --max-width <px>       Consider images wider than this invalid
+      --min-height <px>      Consider images shorter than this invalid
+      --max-height <px>      Consider images taller than this invalid
+      --max-bytes <n>        Consider files larger than this invalid
+      --aspect-ratio <w:h>   Consider images with another aspect ratio invalid
+      --aspect-ratio-tolerance <fraction>
+                             How far the aspect ratio may differ (default: 0.01)
+  -r, --recursive            Also upload the files of subdirectories
+      --include <glob>       Only upload files matching this pattern; repeatable
+      --exclude <glob>       Don't upload files matching this pattern; repeatable
+  -p, --param <key=value>    Cloudinary optional upload parameter; repeatable
+      --public-id <template> Template of public IDs, e.g. {folder}/{name}-{hash8};
+                             placeholders: {folder} {name} {ext} {filename} {hash}
+                             {hashN} (default: {name})
+      --slugify              Replace characters in public IDs other than letters,
+                             digits, _ and - with -, and remove accents
+      --lowercase            Lowercase public IDs
+      --sidecars             Read each file's tags, context, alt text, eager and other
+                             params from photo.jpg.json, .yaml or .yml next to it
+      --metadata <csv>       CSV file of params per file: a filename column and a
+                             column per param, e.g. tags, alt or eager
+      --collisions <policy>  What to do with files given the same public ID, such as
+                             logo.png and logo.jpg: error, skip, suffix or
+                             keep-extension (default: error)
+      --duplicates <policy>  Find files with identical contents: report uploads them
+                             anyway, skip only uploads the first
+      --resume               Save the progress of chunked uploads, and continue those
+                             interrupted in a previous run with --resume
+      --manifest <path>      Skip files unchanged since their last upload, as recorded
+                             in this manifest, and record new uploads in it
+      --dry-run              Report what would be uploaded without uploading anything
+      --watch                Keep watching <dir> and upload new and changed files once
+                             they stop changing; Ctrl+C stops after the uploads in
+                             progress finish
+      --watch-delay <ms>     Milliseconds a file must go unchanged before it is
+                             uploaded in watch mode (default: 1000)
+      --concurrency <n>      Number of files uploaded at once (default: 10)
+      --check-concurrency <n>
+                             Number of existence checks run at once (default: 10)
+      --validation-concurrency <n>
+                             Number of files validated at once (default: 8)
+      --adaptive             Slow down before reaching the account's rate limits
+      --retry-permanent      When retrying, also upload files that failed for reasons
+                             that won't go away on their own, such as invalid files
+
+Failure options:
+      --max-consecutive-failures <n>
+                             Stop once this many uploads in a row have failed
+      --max-failure-rate <percent>
+                             Stop once more than this percentage of the finished
+                             uploads have failed, after at least 10 uploads
+      --fatal-codes <list>   Comma-separated HTTP codes that always stop the upload
+      --ignore-codes <list>  Comma-separated HTTP codes that only fail their own file;
+                             other codes stop the upload (default: 400,404,409)
+      --tolerate-network-errors
+                             Don't stop the upload when a file fails with a network
+                             error after every retry
+      --circuit-breaker      Instead of stopping, pause the upload and check the API
+                             every 30 seconds, resuming once it responds
+
+Error options:
+      --error-file <path>    File to log failed uploads to
+      --overwrite-error-file Overwrite the error file if it already exists
+      --error-format <fmt>   Format of the error file: text, jsonl or csv (default: text)
+      --line-sep <sep>       Separator between entries of a text error file
+      --timeout <ms>         Milliseconds before an upload is canceled
+
+Logging:
+      --log-file <path>      Log what the uploader does to this file; the API secret is
+                             never logged
+      --log-format <fmt>     Format of the log file: text or json (default: text)
+      --log-level <level>    Least severe level logged: debug (chunk ranges and
+                             signatures), info (uploads), warn (skips and retries) or
+                             error (default: info)
+
+Output:
+      --json                 Print a single JSON report instead of progress output
+      --report <path>        Write a report of the run, with the URL, public ID, version,
+                             dimensions and format of each uploaded file, to this file
+      --report-format <fmt>  json, or esm for an ES module mapping each file to its
+                             URL that front-end builds can import (default: json)
+  -h, --help                 Show this message
+`;
+
+const OPTIONS = {
+    'api-key': { type: 'string' },
+    'api-secret': { type: 'string' },
+    'cloud-name': { type: 'string' },
+    'upload-preset': { type: 'string' },
+    'signature-algorithm': { type: 'string' },
+    'profile': { type: 'string' },
+    'config': { type: 'string' },
+    'file': { type: 'string', short: 'f', multiple: true },
+    'types': { type: 'string', short: 't' },
+    'reject-unknown-types': { type: 'boolean' },
+    'validation': { type: 'string' },
+    'min-width': { type: 'string' },
+    'max-width': { type: 'string' },
+    'min-height': { type: 'string' },
+    'max-height': { type: 'string' },
+    'max-bytes': { type: 'string' },
+    'aspect-ratio': { type: 'string' },
+    'aspect-ratio-tolerance': { type: 'string' },
+    'recursive': { type: 'boolean', short: 'r' },
+    'include': { type: 'string', multiple: true },
+    'exclude': { type: 'string', multiple: true },
+    'param': { type: 'string', short: 'p', multiple: true },
+    'public-id': { type: 'string' },
+    'slugify': { type: 'boolean' },
+    'lowercase': { type: 'boolean' },
+    'sidecars': { type: 'boolean' },
+    'metadata': { type: 'string' },
+    'collisions': { type: 'string' },
+    'duplicates': { type: 'string' },
+    'resume': { type: 'boolean' },
+    'manifest': { type: 'string' },
+    'dry-run': { type: 'boolean' },
+    'watch': { type: 'boolean' },
+    'watch-delay': { type: 'string' },
+    'concurrency': { type: 'string' },
+    'check-concurrency': { type: 'string' },
+    'validation-concurrency': { type: 'string' },
+    'adaptive': { type: 'boolean' },
+    'retry-permanent': { type: 'boolean' },
+    'max-consecutive-failures': { type: 'string' },
+    'max-failure-rate': { type: 'string' },
+    'fatal-codes': { type: 'string' },
+    'ignore-codes': { type: 'string' },
+    'tolerate-network-errors': { type: 'boolean' },
+    'circuit-breaker': { type: 'boolean' },
+    'error-file': { type: 'string' },
+    'overwrite-error-file': { type: 'boolean' },
+    'error-format': { type: 'string' },
+    'line-sep': { type: 'string' },
+    'timeout': { type: 'string' },
+    'log-file': { type: 'string' },
+    'log-format': { type: 'string' },
+    'log-level': { type: 'string' },
+    'json': { type: 'boolean' },
+    'report': { type: 'string' },
+    'report-format': { type: 'string' },
+    'help': { type: 'boolean', short: 'h' }
+};
+
+/**
+ * Error class for invalid command-line usage.
+ */
+const UsageError = class extends Error {};
+
+/**
+ * Convert "key=value" pairs into Cloudinary optional upload parameters.
+ * 
+ * @param {string[]} pairs
+ * 
+ * @returns {{}}
+ */
+const parseParams = (pairs = []) => {
+    const params = {};
+    for (const pair of pairs) {
+        const eqPos = pair.indexOf('=');
+        if (eqPos <= 0) {
+            throw new UsageError(`Invalid parameter "${pair}"; expected key=value.`);
+        }
+        const value = pair.substring(eqPos + 1);
+        /* booleans are checked by the uploader (e.g. overwrite) so don't leave them as strings */
+        params[pair.substring(0, eqPos)] = value === 'true' ? true : value === 'false' ? false : value;
+    }
+    return params;
+};
+
+/**
+ * Parse a non-negative integer option.
+ * 
+ * @param {string|undefined} value
+ * 
+ * @param {string} name - Option name used in the error message.
+ * 
+ * @returns {number|undefined}
+ */
+const parseInteger = (value, name) => {
+    if (value === undefined) {
+        return undefined;
+    }
+    const num = Number(value);
+    if (!Number.isInteger(num) || num < 0) {
+        throw new UsageError(`--${name} must be a non-negative integer.`);
+    }
+    return num;
+};
+
+/**
+ * Parse a positive integer option.
+ * 
+ * @param {string|undefined} value
+ * 
+ * @param {string} name - Option name used in the error message.
+ * 
+ * @returns {number|undefined}
+ */
+const parsePositiveInteger = (value, name) => {
+    const num = parseInteger(value, name);
+    if (num === 0) {
+        throw new UsageError(`--${name} must be at least 1.`);
+    }
+    return num;
+};
+
+/**
+ * Parse a comma-separated list of HTTP status codes.
+ * 
+ * @param {string|undefined} value
+ * 
+ * @param {string} name - Option name used in the error message.
+ * 
+ * @returns {number[]|undefined}
+ */
+const parseStatusCodes = (value, name) => {
+    if (value === undefined) {
+        return undefined;
+    }
+    const codes = value.split(',').filter(code => code.trim() !== '').map(Number);
+    if (codes.some(code => !Number.isInteger(code) || code < 100 || code > 599)) {
+        throw new UsageError(`--${name} must be a comma-separated list of HTTP status codes.`);
+    }
+    return codes;
+};
+
+/**
+ * Write progress output for the upload events of an uploader.
+ * 
+ * @param {CloudinaryUploader} uploader
+ * 
+ * @param {boolean} json - Collect results for a JSON report instead of printing progress.
+ * 
+ * @param {{}} optionalParams - Optional upload params recorded with each failure, so the report
+ * can be used to retry the failed files.
+ * 
+ * @returns {{succeeded: {}[], failed: {}[], skipped: {}[], duplicates: {}[]}} - Results, filled in as
+ * events occur.
+ * Failures are error log entries with the error's message in "error".
+ */
+const trackProgress = (uploader, json, optionalParams) => {
+    const results = { succeeded: [], failed: [], skipped: [], duplicates: [] };
+
+    /* keep a status line with the batch's progress at the bottom of an interactive terminal */
+    const showStatus = !json && !!process.stderr.isTTY;
+
+    let status = '';
+
+    const print = line => {
+        if (json) {
+            return;
+        }
+        if (showStatus) {
+            process.stderr.write('\r\x1b[K');
+        }
+        console.log(line);
+        if (showStatus) {
+            process.stderr.write(status);
+        }
+    };
+
+    uploader
+        .onUploadSuccess((pathname, response) => {
+            results.succeeded.push({ pathname, url: response?.secure_url ?? null });
+            print(`uploaded  ${pathname}`);
+        })
+        .onUploadError((pathname, error) => {
+            results.failed.push({
+                ...ErrorLog.toEntry(error, false, optionalParams),
+                pathname,
+                error: String(error)
+            });
+            print(`failed    ${pathname}: ${error}`);
+        })
+        .onCriticalError((pathname, error) => {
+            results.failed.push({
+                ...ErrorLog.toEntry(error, true, optionalParams),
+                pathname,
+                error: String(error)
+            });
+            print(`critical  ${pathname}: ${error}`);
+            print('Aborting the upload process.');
+        })
+        .onUploadRetry((pathname, attempt, delay, error) => {
+            print(`retrying  ${pathname} in ${delay}ms (attempt ${attempt}: ${error.message})`);
+        })
+        .onUploadSkipped((pathname, reason) => {
+            results.skipped.push({ pathname, reason });
+            print(`skipped   ${pathname}: ${reason}`);
+        })
+        .onDuplicate((pathname, originalPathname) => {
+            results.duplicates.push({ pathname, duplicateOf: originalPathname });
+            print(`duplicate ${pathname}: identical to "${originalPathname}"`);
+        })
+        .onCircuitOpen((error, probeInterval) => {
+            print(`paused: ${error.message}; checking the API every ${probeInterval / 1000}s`);
+        })
+        .onCircuitClose(() => {
+            print('resumed: the API is responding again');
+        })
+        .onBatchProgress(({ filesDone, filesTotal, bytesDone, bytesTotal, bytesPerSecond, etaSeconds }) => {
+            if (!showStatus) {
+                return;
+            }
+            const percent = bytesTotal > 0 ? Math.floor(bytesDone / bytesTotal * 100) : 100;
+            status = `${percent}% | ${filesDone}/${filesTotal} files | ` +
+                `${formatBytes(bytesDone)} of ${formatBytes(bytesTotal)} | ` +
+                `${formatBytes(bytesPerSecond)}/s | ` +
+                `ETA ${etaSeconds === null ? '--' : Math.ceil(etaSeconds) + 's'}`;
+            process.stderr.write('\r\x1b[K' + status);
+        });
+
+    return results;
+};
+
+/**
+ * Remove the undefined values from an object so they don't override configured defaults.
+ * 
+ * @param {{}} obj
+ * 
+ * @returns {{}}
+ */
+const withoutUndefined = obj => Object.fromEntries(
+    Object.entries(obj).filter(([, v]) => v !== undefined)
+);
+
+/**
+ * Run the command-line interface.
+ * 
+ * @param {string[]} argv - Command-line arguments, not including the node executable and script.
+ * 
+ * @returns {Promise<number>} - Exit code.
+ */
+const main = async (argv) => {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        options: OPTIONS,
+        allowPositionals: true
+    });
+
+    if (values.help) {
+        console.log(USAGE);
+        return EXIT_SUCCESS;
+    }
+
+    const isRetry = positionals[0] === 'retry';
+    if (positionals.length !== (isRetry ? 3 : 1)) {
+        throw new UsageError(isRetry ?
+            'Expected the log of a previous run and a directory after "retry".' :
+            'Expected a single directory or the "ping" or "retry" command.');
+    }
+    if (values.watch && (isRetry || values['dry-run'] || values.file !== undefined)) {
+        throw new UsageError('--watch can\'t be combined with "retry", --dry-run or --file.');
+    }
+
+    const config = loadConfig({
+        profile: values.profile ?? null,
+        configFilename: values.config ?? null
+    });
+
+    const credentials = {
+        apiKey: values['api-key'] ?? config.apiKey,
+        apiSecret: values['api-secret'] ?? config.apiSecret,
+        cloudName: values['cloud-name'] ?? config.cloudName
+    };
+    const uploadPreset = values['upload-preset'] ?? config.uploadPreset ?? null;
+    const signatureAlgorithm = values['signature-algorithm'] ?? config.signatureAlgorithm ?? 'sha256';
+
+    if (!Uploader.SIGNATURE_ALGORITHMS.includes(signatureAlgorithm)) {
+        throw new UsageError(`--signature-algorithm must be one of: ${Uploader.SIGNATURE_ALGORITHMS.join(', ')}.`);
+    }
+
+    /* unsigned uploads only need the cloud name */
+    const missing = Object.entries(credentials)
+        .filter(([k, v]) => !v && (k === 'cloudName' || !uploadPreset || credentials.apiSecret))
+        .map(([k]) => k);
+    if (missing.length > 0) {
+        throw new UsageError(`Missing Cloudinary credentials: ${missing.join(', ')}.`);
+    }
+
+    const logLevels = Object.values(CloudinaryUploader.LOG_LEVELS);
+    if (values['log-level'] !== undefined && !logLevels.includes(values['log-level'])) {
+        throw new UsageError(`--log-level must be one of: ${logLevels.join(', ')}.`);
+    }
+    if (values['log-format'] !== undefined && !LOG_FORMATS.includes(values['log-format'])) {
+        throw new UsageError(`--log-format must be one of: ${LOG_FORMATS.join(', ')}.`);
+    }
+    if (values['log-file'] === undefined && (values['log-level'] ?? values['log-format']) !== undefined) {
+        throw new UsageError('--log-level and --log-format require --log-file.');
+    }
+    const logFile = values['log-file'];
+
+    const uploader = new CloudinaryUploader({
+        ...credentials,
+        uploadPreset,
+        signatureAlgorithm,
+        defaults: config.defaults,
+        logger: logFile === undefined ? null :
+            values['log-format'] === 'json' ?
+                new CloudinaryUploader.JsonSink(logFile) :
+                new CloudinaryUploader.FileSink(logFile),
+        logLevel: values['log-level']
+    });
+
+    if (positionals[0] === 'ping') {
+        const result = await uploader.ping();
+        console.log(values.json ? JSON.stringify(result) : `${result.success ? 'ok' : 'failed'}: ${result.info}`);
+        return result.success ? EXIT_SUCCESS : EXIT_UPLOAD_FAILED;
+    }
+
+    const errorFormat = values['error-format'];
+    if (errorFormat !== undefined && !Object.values(ErrorLog.FORMATS).includes(errorFormat)) {
+        throw new UsageError(`--error-format must be one of: ${Object.values(ErrorLog.FORMATS).join(', ')}.`);
+    }
+
+    const levels = Object.values(ImageValidator.VALIDATION_LEVELS);
+    if (values.validation !== undefined && !levels.includes(values.validation)) {
+        throw new UsageError(`--validation must be one of: ${levels.join(', ')}.`);
+    }
+
+    const naming = withoutUndefined({
+        template: values['public-id'],
+        slugify: values.slugify,
+        lowercase: values.lowercase
+    });
+    try {
+        new NamingStrategy(naming);
+    }
+    catch (error) {
+        throw new UsageError(`--public-id is invalid: ${error.message}`);
+    }
+
+    const collisions = values.collisions ?? CloudinaryUploader.COLLISION_POLICIES.ERROR;
+    const collisionPolicies = Object.values(CloudinaryUploader.COLLISION_POLICIES);
+    if (!collisionPolicies.includes(collisions)) {
+        throw new UsageError(`--collisions must be one of: ${collisionPolicies.join(', ')}.`);
+    }
+
+    const duplicatePolicies = Object.values(CloudinaryUploader.DUPLICATE_POLICIES);
+    if (values.duplicates !== undefined && !duplicatePolicies.includes(values.duplicates)) {
+        throw new UsageError(`--duplicates must be one of: ${duplicatePolicies.join(', ')}.`);
+    }
+
+    const reportFormats = Object.values(CloudinaryUploader.REPORT_FORMATS);
+    if (values['report-format'] !== undefined && !reportFormats.includes(values['report-format'])) {
+        throw new UsageError(`--report-format must be one of: ${reportFormats.join(', ')}.`);
+    }
+
+    const maxConsecutiveFailures = parsePositiveInteger(values['max-consecutive-failures'], 'max-consecutive-failures');
+    const maxFailureRate = values['max-failure-rate'] === undefined ?
+        undefined : Number(values['max-failure-rate']);
+    if (maxFailureRate !== undefined && !(maxFailureRate >= 0 && maxFailureRate <= 100)) {
+        throw new UsageError('--max-failure-rate must be a percentage between 0 and 100.');
+    }
+    const failurePolicy = withoutUndefined({
+        maxConsecutiveFailures,
+        maxFailureRate: maxFailureRate === undefined ? undefined : maxFailureRate / 100,
+        fatalStatusCodes: parseStatusCodes(values['fatal-codes'], 'fatal-codes'),
+        ignorableStatusCodes: parseStatusCodes(values['ignore-codes'], 'ignore-codes'),
+        fatalNetworkErrors: values['tolerate-network-errors'] ? false : undefined,
+        circuitBreaker: values['circuit-breaker']
+    });
+
+    const aspectRatioTolerance = values['aspect-ratio-tolerance'] === undefined ?
+        undefined : Number(values['aspect-ratio-tolerance']);
+    if (aspectRatioTolerance !== undefined && !(aspectRatioTolerance >= 0)) {
+        throw new UsageError('--aspect-ratio-tolerance must be a non-negative number.');
+    }
+
+    /* the uploader joins the directory and filenames directly so it needs a trailing separator */
+    const dir = positionals[isRetry ? 2 : 0];
+    const imgDir = dir.endsWith('/') || dir.endsWith(sep) ? dir : dir + sep;
+
+    /* record the retried run's params too, so the report can be used to retry again */
+    const optionalParams = {
+        ...(isRetry ? (await ErrorLog.readFailures(positionals[1])).optionalParams : {}),
+        ...parseParams(values.param)
+    };
+
+    const results = trackProgress(uploader, values.json, optionalParams);
+
+    const uploadOptions = {
+        imgDir,
+        recursive: !!values.recursive,
+        include: values.include ?? [],
+        exclude: values.exclude ?? [],
+        errorOptions: withoutUndefined({
+            errorFilename: values['error-file'],
+            format: errorFormat,
+            lineSep: values['line-sep'],
+            timeout: parseInteger(values.timeout, 'timeout'),
+            overwrite: values['overwrite-error-file']
+        }),
+        optionalParams,
+        allowedFileTypes: values.types?.split(',').map(t => t.trim()),
+        rejectUnknownTypes: !!values['reject-unknown-types'],
+        validationLevel: values.validation,
+        constraints: withoutUndefined({
+            minWidth: parseInteger(values['min-width'], 'min-width'),
+            maxWidth: parseInteger(values['max-width'], 'max-width'),
+            minHeight: parseInteger(values['min-height'], 'min-height'),
+            maxHeight: parseInteger(values['max-height'], 'max-height'),
+            maxBytes: parseInteger(values['max-bytes'], 'max-bytes'),
+            aspectRatio: values['aspect-ratio'],
+            aspectRatioTolerance
+        }),
+        resume: !!values.resume,
+        manifestFilename: values.manifest ?? null,
+        concurrency: withoutUndefined({
+            uploads: parsePositiveInteger(values.concurrency, 'concurrency'),
+            existenceChecks: parsePositiveInteger(values['check-concurrency'], 'check-concurrency'),
+            validation: parsePositiveInteger(values['validation-concurrency'], 'validation-concurrency'),
+            adaptive: values.adaptive
+        }),
+        naming,
+        sidecars: !!values.sidecars,
+        metadataFilename: values.metadata ?? null,
+        collisions,
+        duplicates: values.duplicates ?? null,
+        reportFilename: values.report ?? null,
+        reportFormat: values['report-format'],
+        failurePolicy
+    };
+
+    if (values.watch) {
+        const watching = uploader.watch({
+            ...uploadOptions,
+            stabilityDelay: parseInteger(values['watch-delay'], 'watch-delay')
+        });
+        if (!values.json) {
+            console.log(`Watching ${imgDir} for new and changed files; press Ctrl+C to stop.`);
+        }
+
+        /* let the uploads in progress finish on the first interrupt; a second one exits at once */
+        const stop = () => {
+            if (!values.json) {
+                console.log('Stopping once the uploads in progress have finished...');
+            }
+            watching.close().catch(() => {});
+        };
+        process.once('SIGINT', stop);
+        process.once('SIGTERM', stop);
+        try {
+            await watching.finished;
+        }
+        finally {
+            process.off('SIGINT', stop);
+            process.off('SIGTERM', stop);
+        }
+    }
+    else {
+        const plan = await uploader.upload({
+            ...uploadOptions,
+            specificFiles: values.file ?? null,
+            dryRun: !!values['dry-run'],
+            retryFrom: isRetry ? positionals[1] : null,
+            retryPermanent: !!values['retry-permanent']
+        });
+        if (values['dry-run']) {
+            if (values.json) {
+                console.log(JSON.stringify(plan, null, 2));
+            }
+            else {
+                for (const { pathname, folder, publicId, bytes } of plan.upload) {
+                    console.log(`would upload  ${pathname} -> ${folder ? folder + '/' : ''}${publicId} (${bytes} bytes)`);
+                }
+                console.log(
+                    `\n${plan.upload.length} files (${plan.totalBytes} bytes) would be uploaded, ` +
+                    `${plan.invalid.length} invalid, ` +
+                    `${plan.notAllowed.length} not allowed, ` +
+                    `${plan.existing.length} already on the server, ` +
+                    `${plan.unchanged.length} unchanged, ` +
+                    `${plan.duplicates.length} duplicates, ` +
+                    `${plan.excluded.length} excluded`
+                );
+            }
+            return plan.invalid.length > 0 ? EXIT_UPLOAD_FAILED : EXIT_SUCCESS;
+        }
+    }
+
+    if (values.json) {
+        console.log(JSON.stringify(results, null, 2));
+    }
+    else {
+        /* clear the status line */
+        if (process.stderr.isTTY) {
+            process.stderr.write('\r\x1b[K');
+        }
+        console.log(
+            `\n${results.succeeded.length} uploaded, ` +
+            `${results.failed.length} failed, ` +
+            `${results.skipped.length} skipped`
+        );
+    }
+
+    return results.failed.length > 0 ? EXIT_UPLOAD_FAILED : EXIT_SUCCESS;
+};
+
+if (require.main === module) {
+    main(process.argv.slice(2))
+        .then(code => {
+            process.exitCode = code;
+        })
+        .catch(error => {
+            /* parseArgs reports unknown or malformed options with an error code */
+            const isUsageError = error instanceof UsageError ||
+                String(error.code).startsWith('ERR_PARSE_ARGS');
+            console.error(`Error: ${error instanceof ConfigError ? error.toString() : error.message}`);
+            if (isUsageError) {
+                console.error(`\n${USAGE}`);
+            }
+            process.exitCode = isUsageError || error instanceof ConfigError ?
+                EXIT_USAGE : EXIT_UPLOAD_FAILED;
+        });
+}
+
+module.exports = main;
\ No newline at end of file
@@ -2,61 +2,267 @@ const Uploader = require('./uploader');
 
 const { EOL } = require('os');
 
-const { open, readdir } = require('fs/promises');
+const { stat } = require('fs/promises');
 
 const ImageValidator = require('./image_validation');
 
-const { VALID, INVALID } = ImageValidator.VALIDATION_RESULTS;
+const { VALID, INVALID, NOT_ALLOWED } = ImageValidator.VALIDATION_RESULTS;
 
 const asyncFilter = require('./async_filter');
 
+const listFiles = require('./list_files');
+
+const FileSelector = require('./file_selector');
+
+const { minimatch } = require('minimatch');
+
+const loadConfig = require('./load_config');
+
+const getFileParams = require('./file_params');
+
+const UploadManifest = require('./upload_manifest');
+
+const ErrorLog = require('./error_log');
+
+const RetryPolicy = require('./retry_policy');
+
+const ConcurrencyLimiter = require('./concurrency_limiter');
+
+const UploadState = require('./upload_state');
+
+const UploadSource = require('./upload_source');
+
+const NamingStrategy = require('./naming_strategy');
+
+const FileMetadata = require('./file_metadata');
+
+const DirectoryWatcher = require('./directory_watcher');
+
+const UploadBatch = require('./upload_batch');
+
+const RunReport = require('./run_report');
+
+const FailurePolicy = require('./failure_policy');
+
+const Logger = require('./logger');
+
+const { ConsoleSink, FileSink, JsonSink } = require('./log_sinks');
+
+const {
+    COLLISION_POLICIES,
+    DUPLICATE_POLICIES,
+    checkPolicy,
+    resolveCollisions,
+    findDuplicates
+} = require('./batch_conflicts');
+
 const {
+    ConfigError,
+    FailureThresholdError,
     FileError,
-    FileOpenError,
-    ServerResponseError
+    ValidationError
 } = require('./errors');
 
-const {
-    BAD_REQUEST,
-    NOT_FOUND,
-    CONFLICT
-} = require('http-status-codes').StatusCodes;
+const { extname, relative, resolve, sep } = require('path');
 
 const EventEmitter = require('events');
 
 const wait = require('timers/promises').setTimeout;
 
+/**
+ * @typedef {Object} plannedFile - A file that would be uploaded.
+ * 
+ * @property {string} pathname - Pathname of the file.
+ * 
+ * @property {string} publicId - Public ID the file would be given.
+ * 
+ * @property {string|null} folder - Cloudinary folder the file would be placed in.
+ * 
+ * @property {number} bytes - Size of the file in bytes.
+ */
+
+/**
+ * @typedef {Object} skippedFile - A file that would not be uploaded.
+ * 
+ * @property {string} pathname - Pathname of the file.
+ * 
+ * @property {string} reason - Message describing why the file would not be uploaded.
+ */
+
+/**
+ * @typedef {Object} uploadPlan - What an upload would do, produced by a dry run. Each list
+ * is sorted by pathname so plans can be compared between runs.
+ * 
+ * @property {plannedFile[]} upload - Files that would be uploaded.
+ * 
+ * @property {skippedFile[]} excluded - Files excluded by include/exclude patterns or the ignore file.
+ * 
+ * @property {skippedFile[]} notAllowed - Files whose types aren't allowed.
+ * 
+ * @property {skippedFile[]} invalid - Files that failed validation or couldn't be opened.
+ * 
+ * @property {skippedFile[]} existing - Files that already exist on the server.
+ * 
+ * @property {skippedFile[]} unchanged - Files the manifest shows haven't changed since their last upload.
+ * 
+ * @property {skippedFile[]} duplicates - Files whose contents are identical to another file's; these are
+ * only left out of the upload with the skip duplicates policy.
+ * 
+ * @property {number} totalBytes - Total size of the files that would be uploaded.
+ */
+
+/**
+ * @typedef {Object} watchHandle - Controls a directory being watched.
+ * 
+ * @property {() => Promise<void>} close - Stops watching and resolves once the uploads in progress have
+ * finished. Files waiting to be uploaded are left out. Rejects with the error that stopped the watch, if any.
+ * 
+ * @property {Promise<void>} finished - Resolves once watching has stopped, whether because close() was
+ * called or because a critical error occurred, and rejects if a batch of files couldn't be uploaded at all,
+ * e.g. because the error file already exists, or if the image directory can't be watched.
+ */
+
+/**
+ * Compare two file entries by pathname.
+ * 
+ * @param {{pathname: string}} a
+ * 
+ * @param {{pathname: string}} b
+ * 
+ * @returns {number}
+ */
+const byPathname = (a, b) => a.pathname.localeCompare(b.pathname);
+
+/* default number of files validated, checked for existence and uploaded at once */
+const DEFAULT_CONCURRENCY = Object.freeze({
+    validation: 8,
+    existenceChecks: 10,
+    uploads: 10,
+    adaptive: false
+});
+
 const CloudinaryUploader = class extends EventEmitter {
     /** @type {Uploader} */
     #uploader;
 
+    /** @type {import('./load_config').uploadDefaults} */
+    #defaults;
+
+    /** @type {Logger} */
+    #logger;
+
     static UPLOAD_SUCCESS = Symbol('upload success');
 
     static UPLOAD_ERROR = Symbol('upload error');
 
     static UPLOAD_CRITICAL = Symbol('upload error');
 
-    /* internal use only */
-    static #END_WRITE = Symbol('end write');
+    static UPLOAD_RETRY = Symbol('upload retry');
+
+    static UPLOAD_SKIPPED = Symbol('upload skipped');
+
+    static UPLOAD_PROGRESS = Symbol('upload progress');
+
+    static BATCH_PROGRESS = Symbol('batch progress');
+
+    static DUPLICATE_FOUND = Symbol('duplicate found');
+
+    static CIRCUIT_OPENED = Symbol('circuit opened');
+
+    static CIRCUIT_CLOSED = Symbol('circuit closed');
+
+    static COLLISION_POLICIES = COLLISION_POLICIES;
+
+    static DUPLICATE_POLICIES = DUPLICATE_POLICIES;
+
+    static REPORT_FORMATS = RunReport.FORMATS;
+
+    static LOG_LEVELS = Logger.LEVELS;
+
+    /* built-in log sinks, for the logger option */
+    static ConsoleSink = ConsoleSink;
+
+    static FileSink = FileSink;
+
+    static JsonSink = JsonSink;
 
     /**
      * @param {Object} configParams - Parameters to establish a Cloudinary connection.
      * 
      * @param {string} configParams.apiKey - Your Cloudinary API key.
      * 
-     * @param {string} configParams.apiSecret - Your Cloudinary API secret.
+     * @param {string} configParams.apiSecret - Your Cloudinary API secret. If not provided, uploads are
+     * unsigned and require an unsigned upload preset, so the secret doesn't need to be present.
      * 
      * @param {string} configParams.cloudName - Your Cloudinary cloud name.
+     * 
+     * @param {string|null} configParams.uploadPreset - Upload preset applied to every upload unless the
+     * optional params specify one.
+     * 
+     * @param {string} configParams.signatureAlgorithm - Algorithm signatures are created with: "sha256" (the
+     * default) or "sha1", matching the account's configured algorithm.
+     * 
+     * @param {import('./load_config').uploadDefaults} configParams.defaults - Optional params,
+     * allowed file types and error options applied to every upload unless overridden.
+     * 
+     * @param {import('./logger').logSink|{}|(import('./logger').logSink|{})[]|null} configParams.logger - Where
+     * to log what the uploader does: a sink such as ConsoleSink, FileSink or JsonSink, a logger such as pino or
+     * winston, or an array of them. Chunk ranges and signatures are logged at the debug level, uploaded files at
+     * the info level, skipped files and retries at the warn level and failures at the error level. The API
+     * secret is redacted from every record.
+     * 
+     * @param {string} configParams.logLevel - Least severe level logged: "debug", "info" (the default), "warn"
+     * or "error".
      */
     constructor(
         configParams
     ) {
         super();
+        this.#logger = Logger.create(configParams.logger ?? null, {
+            level: configParams.logLevel ?? Logger.LEVELS.INFO,
+            secrets: [configParams.apiSecret]
+        });
         this.#uploader = new Uploader(
             configParams.apiKey,
             configParams.apiSecret,
-            configParams.cloudName
+            configParams.cloudName,
+            {
+                uploadPreset: configParams.uploadPreset ?? null,
+                signatureAlgorithm: configParams.signatureAlgorithm ?? 'sha256',
+                logger: this.#logger
+            }
         );
+        this.#defaults = configParams.defaults ?? {};
+    }
+    /**
+     * Create an uploader from the environment (CLOUDINARY_URL or CLOUDINARY_API_KEY,
+     * CLOUDINARY_API_SECRET and CLOUDINARY_CLOUD_NAME) and a project config file
+     * (.cloudinaryrc.json or cloudinary.config.js), optionally selecting one of its profiles.
+     * With an upload preset and no API secret, only the cloud name is required and uploads are unsigned.
+     * 
+     * @param {Object} options
+     * 
+     * @param {string|null} options.profile - Name of the config file profile to use.
+     * 
+     * @param {string|null} options.configFilename - Config file to read instead of the default ones.
+     * 
+     * @param {import('./logger').logSink|{}|(import('./logger').logSink|{})[]|null} options.logger - Where to
+     * log what the uploader does; see the constructor.
+     * 
+     * @param {string|undefined} options.logLevel - Least severe level logged.
+     * 
+     * @returns {CloudinaryUploader}
+     */
+    static fromConfig({ profile = null, configFilename = null, logger = null, logLevel = undefined } = {}) {
+        const config = loadConfig({ profile, configFilename });
+        const required = config.uploadPreset && !config.apiSecret ?
+            ['cloudName'] :
+            ['apiKey', 'apiSecret', 'cloudName'];
+        const missing = required.filter(k => !config[k]);
+        if (missing.length > 0) {
+            throw new ConfigError(`missing credentials: ${missing.join(', ')}.`);
+        }
+        return new CloudinaryUploader({ ...config, logger, logLevel });
     }
     /**
      * @callback successListener
@@ -80,7 +286,8 @@ const CloudinaryUploader = class extends EventEmitter {
      * 
      * @param {string} pathname - Pathname of file being uploaded.
      * 
-     * @param {string} message - Message describing the error.
+     * @param {import('./errors').FileError} error - The error; converting it to a string gives a
+     * message describing the error.
      */
     /**
      * Adds an event listener to respond to an unsuccessful upload event.
@@ -103,7 +310,129 @@ const CloudinaryUploader = class extends EventEmitter {
         return this.on(CloudinaryUploader.UPLOAD_CRITICAL, listener);
     }
     /**
-     * Asynchronously upload one or more files to Cloudinary.
+     * @callback retryListener
+     * 
+     * @param {string} pathname - Pathname of file being uploaded.
+     * 
+     * @param {number} attempt - Number of the attempt that failed.
+     * 
+     * @param {number} delay - Milliseconds until the next attempt.
+     * 
+     * @param {FileError} error - Object detailing the failed attempt.
+     */
+    /**
+     * Adds an event listener to respond to a failed upload attempt that is about to be retried.
+     * 
+     * @param {retryListener} listener
+     * 
+     * @returns {this}
+     */
+    onUploadRetry(listener) {
+        return this.on(CloudinaryUploader.UPLOAD_RETRY, listener);
+    }
+    /**
+     * @callback skipListener
+     * 
+     * @param {string} pathname - Pathname of file that was skipped.
+     * 
+     * @param {string} reason - Message describing why the file was skipped.
+     */
+    /**
+     * Adds an event listener to respond to a file being left out of the upload, such as one
+     * excluded by a glob pattern or one that already exists on the server.
+     * 
+     * @param {skipListener} listener
+     * 
+     * @returns {this}
+     */
+    onUploadSkipped(listener) {
+        return this.on(CloudinaryUploader.UPLOAD_SKIPPED, listener);
+    }
+    /**
+     * @callback progressListener
+     * 
+     * @param {string} pathname - Pathname of file being uploaded.
+     * 
+     * @param {number} bytesSent - Bytes of the file uploaded so far.
+     * 
+     * @param {number|null} bytesTotal - Size of the file in bytes; null for a stream of unknown size.
+     */
+    /**
+     * Adds an event listener to respond to the progress of a file's upload.
+     * 
+     * @param {progressListener} listener
+     * 
+     * @returns {this}
+     */
+    onProgress(listener) {
+        return this.on(CloudinaryUploader.UPLOAD_PROGRESS, listener);
+    }
+    /**
+     * @callback batchProgressListener
+     * 
+     * @param {import('./uploader').batchProgress} progress - Progress of every upload in the batch,
+     * including the throughput and estimated time remaining.
+     */
+    /**
+     * Adds an event listener to respond to the progress of the batch of uploads as a whole.
+     * 
+     * @param {batchProgressListener} listener
+     * 
+     * @returns {this}
+     */
+    onBatchProgress(listener) {
+        return this.on(CloudinaryUploader.BATCH_PROGRESS, listener);
+    }
+    /**
+     * @callback duplicateListener
+     * 
+     * @param {string} pathname - Pathname of the duplicate file.
+     * 
+     * @param {string} originalPathname - Pathname of the file it is identical to.
+     */
+    /**
+     * Adds an event listener to respond to a file whose contents are identical to another file of
+     * the batch, when duplicates are reported rather than skipped.
+     * 
+     * @param {duplicateListener} listener
+     * 
+     * @returns {this}
+     */
+    onDuplicate(listener) {
+        return this.on(CloudinaryUploader.DUPLICATE_FOUND, listener);
+    }
+    /**
+     * @callback circuitOpenListener
+     * 
+     * @param {FileError} error - The error that would have stopped the batch.
+     * 
+     * @param {number} probeInterval - Milliseconds until the API is first probed.
+     */
+    /**
+     * Adds an event listener to respond to the failure policy's circuit breaker pausing the batch
+     * instead of stopping it.
+     * 
+     * @param {circuitOpenListener} listener
+     * 
+     * @returns {this}
+     */
+    onCircuitOpen(listener) {
+        return this.on(CloudinaryUploader.CIRCUIT_OPENED, listener);
+    }
+    /**
+     * Adds an event listener to respond to the circuit breaker resuming the batch once the API
+     * has responded to a probe.
+     * 
+     * @param {() => void} listener
+     * 
+     * @returns {this}
+     */
+    onCircuitClose(listener) {
+        return this.on(CloudinaryUploader.CIRCUIT_CLOSED, listener);
+    }
+    /**
+     * Asynchronously upload one or more files to Cloudinary. Optional params, allowed file types and
+     * error options not provided are taken from the uploader's configured defaults.
      * 
      * @param {Object} uploadOptions
      * 
@@ -113,11 +442,36 @@ const CloudinaryUploader = class extends EventEmitter {
      * If not provided, all files contained in the image directory will be uploaded. If files originate from different
      * directories, provide an empty string for the image directory.
      * 
-     * @param {Object} uploadOptions.errorOptions
+     * @param {boolean|Object} uploadOptions.recursive - Also upload the files of subdirectories, mirroring
+     * each subdirectory as a subfolder of the Cloudinary folder. Provide an object instead of true to
+     * configure the directory walk.
+     * 
+     * @param {number} uploadOptions.recursive.maxDepth - Maximum number of subdirectory levels to descend into.
+     * 
+     * @param {boolean} uploadOptions.recursive.followSymlinks - Descend into symbolically linked directories.
+     * 
+     * @param {boolean} uploadOptions.recursive.skipHidden - Skip directories whose names begin with a dot;
+     * defaults to true.
+     * 
+     * @param {string[]} uploadOptions.include - Glob patterns, relative to the image directory, that files must
+     * match at least one of to be uploaded. Example: ['*@2x.png']. Patterns beginning with "!" exclude files.
+     * 
+     * @param {string[]} uploadOptions.exclude - Glob patterns of files not to upload. Example: ['drafts/*'].
+     * 
+     * @param {string|null} uploadOptions.ignoreFilename - Name of a file in the image directory containing
+     * gitignore-style rules for files not to upload. Defaults to ".cloudinaryignore"; provide null to disable.
+     * 
+     * @param {Object} uploadOptions.errorOptions - The error file is a sink of the uploader's logger for this upload,
+     * receiving its error records in addition to the logger's own sinks.
      * 
      * @param {string|undefined} uploadOptions.errorOptions.errorFilename - Optional filename of file to store filenames of failed uploads.
      * 
-     * @param {string} uploadOptions.errorOptions.lineSep - Line separator used between entries when writing to the error file.
+     * @param {string} uploadOptions.errorOptions.format - Format of the error file: "text" (the default) writes a message per
+     * entry, "jsonl" writes a JSON object per line and "csv" writes a row per entry. The jsonl and csv entries record the time,
+     * pathname, error type, HTTP code, the server's error message and whether the error was critical.
+     * 
+     * @param {string} uploadOptions.errorOptions.lineSep - Line separator used between entries when writing to the error file
+     * in the text format.
      * 
      * @param {number} uploadOptions.errorOptions.timeout - Milliseconds before the upload process is canceled. Increase the duration if
      * large files are causing a timeout to occur.
@@ -125,158 +479,1036 @@ const CloudinaryUploader = class extends EventEmitter {
      * @param {boolean} uploadOptions.errorOptions.overwrite - Overwrites the contents of the error file. If false, an error will be thrown
      * if the file already exists.
      * 
+     * @param {boolean} uploadOptions.errorOptions.append - Adds to the end of the error file if it already exists.
+     * 
      * @param {{}} uploadOptions.optionalParams - Optional Cloudinary API upload options;
      * see https://cloudinary.com/documentation/image_upload_api_reference#upload_optional_parameters
-     * for a complete list.
+     * for a complete list. Unsigned uploads only allow the params in Uploader.UNSIGNED_PARAMS; a
+     * ConfigError is thrown before anything is uploaded if others are provided.
      * 
      * @param {string[]} uploadOptions.allowedFileTypes - Types of files to upload. Example: ['png', jpg'].
      * 
-     * @returns {Promise<void>}
+     * @param {boolean} uploadOptions.rejectUnknownTypes - Consider files invalid if their type can't be
+     * validated (see ImageValidator.getSupportedTypes), instead of uploading them without validation.
+     * 
+     * @param {string} uploadOptions.validationLevel - "basic" (the default) only checks the header of each file.
+     * "deep" also reads PNG, JPEG and GIF files in full to catch truncated and corrupt files, e.g. PNG chunks
+     * with bad CRCs or JPEGs without an EOI marker. The reason a file is invalid is included in its error.
+     * 
+     * @param {Object|Object[]} uploadOptions.constraints - Limits files must be within to be uploaded: minWidth,
+     * maxWidth, minHeight, maxHeight (in pixels), maxBytes, aspectRatio (e.g. 1.5 or "16:9") and aspectRatioTolerance
+     * (a fraction; defaults to 0.01). Provide an array of rules to apply different limits to different files; a rule
+     * with a "files" glob pattern, or array of patterns, only applies to matching files, and later rules take precedence
+     * over earlier ones. The rules are applied after the configured default rules. Files that violate a limit are
+     * reported as invalid, with the reason. Example: [{ maxBytes: 10000000 }, { files: 'heroes/*', minWidth: 1920 }].
+     * 
+     * @param {Object} uploadOptions.concurrency - How much work is done at once. Options not provided are taken
+     * from the configured defaults.
+     * 
+     * @param {number} uploadOptions.concurrency.validation - Number of files validated (and hashed, with a
+     * manifest) at once; defaults to 8.
+     * 
+     * @param {number} uploadOptions.concurrency.existenceChecks - Number of requests checking whether files exist
+     * on the server at once; defaults to 10.
+     * 
+     * @param {number} uploadOptions.concurrency.uploads - Number of files uploaded at once; defaults to 10, the
+     * most Cloudinary allows.
+     * 
+     * @param {boolean} uploadOptions.concurrency.adaptive - Slow down before reaching the account's rate limits:
+     * the existence checks and uploads are run less concurrently, and paced or paused, as Cloudinary's
+     * x-featureratelimit-remaining and x-featureratelimit-reset headers and 420 and 429 responses show the limits
+     * approaching. Concurrency is raised again as requests succeed.
+     * 
+     * @param {Object} uploadOptions.retryOptions - Options for retrying uploads that fail due to
+     * temporary errors, such as timeouts, disconnections, rate limiting, or server errors; see
+     * RetryPolicy for the available options. Provide { maxAttempts: 1 } to disable retries.
+     * 
+     * @param {boolean} uploadOptions.resume - Save the progress of chunked uploads to the state file, and
+     * continue the uploads a previous run with resume left unfinished from their last acknowledged chunk.
+     * Files that changed since then start over. Without it, the state file is neither read nor written.
+     * 
+     * @param {string|null} uploadOptions.stateFilename - File used to persist the progress of chunked
+     * uploads when resuming; defaults to .cloudinary_upload_state.json in the working directory. The file is
+     * removed once no upload is left unfinished. Provide null to disable persistence.
+     * If the file can't be read, the upload is rejected with an UploadStateError; if it can't be written,
+     * the file being uploaded fails with one.
+     * 
+     * @param {string|null} uploadOptions.manifestFilename - Manifest file recording the content hash, public ID,
+     * version, URL, dimensions and format of each uploaded file. If provided, files that haven't changed since their last upload are
+     * skipped, changed files are uploaded again (overwriting their previous upload), and Cloudinary is not asked
+     * whether files already exist. The manifest is created if it doesn't exist and updated after the upload.
+     * 
+     * @param {boolean} uploadOptions.dryRun - Select, validate and check the existence of files without
+     * uploading anything or writing to the error file, and resolve to the resulting upload plan.
+     * 
+     * @param {string|null} uploadOptions.retryFrom - A jsonl or csv error file, or a JSON run report, written by
+     * a previous run. Only the files that failed in that run are uploaded (specificFiles is ignored), using the
+     * optional params of that run beneath the ones provided. The pathnames recorded in the file must lie within
+     * the image directory. The file may be the same as the error file of this run.
+     * 
+     * @param {boolean} uploadOptions.retryPermanent - When retrying, also upload files whose previous failure
+     * was permanent, such as invalid files or files the server rejected as a bad request. These are skipped
+     * by default.
+     * 
+     * @param {Object} uploadOptions.naming - How files' public IDs are made; options not provided are taken
+     * from the configured defaults. By default, a file's public ID is its name without the extension, and
+     * a file in a subdirectory is uploaded to the matching subfolder of the Cloudinary folder.
+     * 
+     * @param {string} uploadOptions.naming.template - Template of public IDs, e.g. "{folder}/{name}-{hash8}";
+     * see NamingStrategy for the placeholders. If it includes {folder}, subdirectories aren't also mirrored
+     * as subfolders.
+     * 
+     * @param {boolean} uploadOptions.naming.slugify - Replace characters in public IDs other than letters,
+     * digits, underscores and hyphens with hyphens, and remove accents.
+     * 
+     * @param {boolean} uploadOptions.naming.lowercase - Lowercase public IDs.
+     * 
+     * @param {Function|null} uploadOptions.naming.publicId - Function that returns the public ID of a file,
+     * given its filename, folder, name, ext, hash and the public ID made by the other options.
+     * 
+     * @param {boolean} uploadOptions.sidecars - Read upload params of each file, such as tags, context, alt
+     * text and eager transformations, from a sidecar file named after it (photo.jpg.json, photo.jpg.yaml or
+     * photo.jpg.yml). Sidecar files aren't uploaded themselves.
+     * 
+     * @param {string|null} uploadOptions.metadataFilename - CSV file of upload params of specific files: a
+     * "filename" column with the pathname of each file relative to the image directory, and a column per
+     * param, e.g. tags, context, alt or eager. Sidecar files take precedence over it. A public_id param
+     * replaces the name made by the naming options.
+     * 
+     * @param {string} uploadOptions.collisions - What to do with files that would be given the same public ID
+     * and overwrite each other, such as logo.png and logo.jpg: "error" (the default) reports each of them as
+     * invalid, "skip" uploads the first by filename and skips the others, "suffix" gives the others a numbered
+     * suffix (logo-1) and "keep-extension" adds each file's extension to its public ID (logo_png, logo_jpg).
+     * 
+     * @param {string|null} uploadOptions.duplicates - Find files whose contents are identical to another file
+     * of the batch: "report" uploads them but emits a duplicate event for each, and "skip" only uploads the
+     * first by filename. Duplicates aren't looked for if not provided, since every file must be read in full.
+     * 
+     * @param {Object} uploadOptions.failurePolicy - Which upload failures stop the batch; options not provided
+     * are taken from the configured defaults. By default, a server error with an HTTP code other than 400, 404
+     * or 409, or a timeout or disconnection that persisted through every retry, is critical and stops the batch.
+     * See FailurePolicy for the options: a function that classifies errors, HTTP codes to consider critical or
+     * ignorable, thresholds of consecutive failures and of the failure rate, and a circuit breaker that pauses
+     * the batch and probes the API with ping() instead of stopping it. The circuit breaker needs an API secret.
+     * 
+     * @param {string|null} uploadOptions.reportFilename - File to write the run report to once the upload has
+     * finished. It isn't written by a dry run.
+     * 
+     * @param {string} uploadOptions.reportFormat - Format of the report file: "json" (the default) writes the
+     * whole report, and "esm" writes an ES module whose default export maps the pathname of each uploaded or
+     * unchanged file, relative to the image directory, to its asset's URL, and whose "assets" export holds
+     * the assets' public IDs, versions, dimensions and formats; see RunReport.write.
+     * 
+     * @returns {UploadBatch} - Handle to pause, resume or cancel the batch and read its status. It can be
+     * awaited like a promise of the run report: counts of the files uploaded, failed, invalid, already on
+     * the server and not allowed, the total bytes uploaded, the duration, and each uploaded file's public
+     * ID, URL, version, dimensions and format. A dry run resolves to the upload plan instead.
+     */
+    upload(uploadOptions = {}) {
+        return new UploadBatch((batch, abort) => this.#upload(uploadOptions, batch, abort));
+    }
+    /**
+     * Run a batch of uploads; see upload() for the options.
+     * 
+     * @param {Object} uploadOptions
+     * 
+     * @param {UploadBatch} batch - Batch being run, whose pauses the uploads wait out.
+     * 
+     * @param {() => void} abort - Aborts the batch after a critical error.
+     * 
+     * @returns {Promise<uploadPlan|import('./run_report').runReport>}
      */
-    async upload({
+    async #upload({
         imgDir = '',
         specificFiles = null,
+        recursive = false,
+        include = [],
+        exclude = [],
+        ignoreFilename = FileSelector.DEFAULT_IGNORE_FILENAME,
         errorOptions = {},
         optionalParams = {},
-        allowedFileTypes = []
-    } = {}) {
+        allowedFileTypes = this.#defaults.allowedFileTypes ?? [],
+        rejectUnknownTypes = false,
+        validationLevel = ImageValidator.VALIDATION_LEVELS.BASIC,
+        constraints = [],
+        concurrency = {},
+        retryOptions = {},
+        resume = false,
+        stateFilename = UploadState.DEFAULT_STATE_FILENAME,
+        manifestFilename = null,
+        dryRun = false,
+        retryFrom = null,
+        retryPermanent = false,
+        naming = {},
+        sidecars = false,
+        metadataFilename = null,
+        collisions = COLLISION_POLICIES.ERROR,
+        duplicates = null,
+        reportFilename = null,
+        reportFormat = RunReport.FORMATS.JSON,
+        failurePolicy = {}
+    }, batch, abort) {
+
+        const report = new RunReport();
+
+        checkPolicy(collisions, COLLISION_POLICIES, 'collision');
+        checkPolicy(duplicates, DUPLICATE_POLICIES, 'duplicate');
+        RunReport.checkFormat(reportFormat);
+        const failures = new FailurePolicy({ ...this.#defaults.failurePolicy, ...failurePolicy });
+        if (failures.circuitBreaker !== null && this.#uploader.unsigned) {
+            throw new ConfigError('the circuit breaker probes the API with ping(), which needs an API secret.');
+        }
+
+        /* read the previous run's failures before the error file is opened, since it may be the same file */
+        const previous = retryFrom === null ? null : await ErrorLog.readFailures(retryFrom);
+
+        /* apply the configured defaults and the params of the run being retried beneath the options provided */
+        errorOptions = { ...this.#defaults.errorOptions, ...errorOptions };
+        optionalParams = { ...this.#defaults.optionalParams, ...previous?.optionalParams, ...optionalParams };
+        this.#uploader.validateParams(optionalParams);
+        const namer = new NamingStrategy({ ...this.#defaults.naming, ...naming });
+        const constraintRules = [this.#defaults.constraints ?? [], constraints].flat()
+            .map(({ files, ...limits }) => ({ files, limits: ImageValidator.checkConstraints(limits) }));
+
+        concurrency = { ...DEFAULT_CONCURRENCY, ...this.#defaults.concurrency, ...concurrency };
+        const validationLimiter = new ConcurrencyLimiter(concurrency.validation);
+        const existenceLimiter = new ConcurrencyLimiter(concurrency.existenceChecks, {
+            adaptive: !!concurrency.adaptive
+        });
+        const uploadLimiter = new ConcurrencyLimiter(concurrency.uploads, {
+            adaptive: !!concurrency.adaptive
+        });
+
+        /* get the limits of the rules that apply to a file, later rules taking precedence */
+        const getConstraints = filename => Object.assign({}, ...constraintRules
+            .filter(({ files }) => files === undefined ||
+                [files].flat().some(pattern => minimatch(filename, pattern, { dot: true })))
+            .map(({ limits }) => limits));
 
         /* create a file to write upload errors to if needed */
-        const errorFileHandle = typeof errorOptions?.errorFilename === 'string' ?
-            await open(errorOptions.errorFilename, errorOptions.overwrite ? 'w' : 'wx') :
+        const errorLog = typeof errorOptions.errorFilename === 'string' && !dryRun ?
+            await ErrorLog.open(errorOptions.errorFilename, {
+                format: errorOptions.format,
+                lineSep: typeof errorOptions.lineSep === 'undefined' ?
+                    EOL : String(errorOptions.lineSep),
+                overwrite: !!errorOptions.overwrite,
+                append: !!errorOptions.append,
+                optionalParams: this.#logger.redact(optionalParams)
+            }) :
             null;
 
-        const lineSep = typeof errorOptions?.lineSep === 'undefined' ?
-            EOL : String(errorOptions.lineSep);
-
-        let writeCount = 0;
+        /* failures are logged to the error file as well as the uploader's own sinks */
+        const logger = errorLog === null ? this.#logger : this.#logger.with(errorLog, Logger.LEVELS.ERROR);
 
-        const logError = async msg => {
-            ++writeCount;
-            await (errorFileHandle?.appendFile(msg, 'utf-8'))
-                .then(_ => {
-                    if (--writeCount === 0) {
-                        this.emit(CloudinaryUploader.#END_WRITE);
-                    }
-                });
+        /* report a file that was left out of the upload */
+        const reportSkipped = (pathname, reason) => {
+            this.emit(CloudinaryUploader.UPLOAD_SKIPPED, pathname, reason);
+            logger.warn(`skipped ${pathname}: ${reason}`, { pathname, reason });
         };
 
         const ignoreFileExistCheck = !!optionalParams.overwrite;
 
-        const validator = new ImageValidator(allowedFileTypes);
+        const selector = await FileSelector.create(imgDir, { include, exclude, ignoreFilename });
 
-        /* get an array of image filenames to upload to Cloudinary */
-        const filenames = await asyncFilter(
+        const validator = new ImageValidator(allowedFileTypes, {
+            rejectUnknown: rejectUnknownTypes,
+            level: validationLevel
+        });
+
+        const manifest = manifestFilename === null ? null : await UploadManifest.load(manifestFilename);
+
+        const metadata = await FileMetadata.load(imgDir, { sidecars, metadataFilename });
+
+        /* content hashes of the files to upload, keyed by pathname, for updating the manifest */
+        const hashes = new Map();
+
+        /* upload params of each file, including its public ID and metadata, keyed by filename */
+        const fileParams = new Map();
+
+        /* files the uploader itself reads or writes, which should never be uploaded */
+        const ownFiles = new Set(
+            [
+                manifestFilename, stateFilename, errorOptions.errorFilename, retryFrom, metadataFilename, reportFilename,
+                ...this.#logger.filenames
+            ]
+                .filter(filename => typeof filename === 'string')
+                .map(filename => resolve(filename))
+        );
+
+        /* what happens to each file; this is the result of a dry run */
+        const plan = {
+            upload: [],
+            excluded: [],
+            notAllowed: [],
+            invalid: [],
+            existing: [],
+            unchanged: [],
+            duplicates: [],
+            totalBytes: 0
+        };
+
+        /* previous failures to retry, keyed by filename relative to the image directory */
+        const retries = new Map();
+        for (const failure of previous?.failures ?? []) {
+            const filename = imgDir === '' ?
+                failure.pathname :
+                relative(imgDir, failure.pathname).split(sep).join('/');
+            if (filename.startsWith('../')) {
+                const reason = 'file is outside the image directory';
+                plan.excluded.push({ pathname: failure.pathname, reason });
+                reportSkipped(failure.pathname, reason);
+                continue;
+            }
+            retries.set(filename, failure);
+        }
+
+        /* report a file that couldn't be read */
+        const reportOpenError = async (pathname, error) => {
+            plan.invalid.push({ pathname, reason: error.toString() });
+            this.emit(CloudinaryUploader.UPLOAD_ERROR, pathname, error);
+            await logger.error(error.toString(), { pathname, error });
+        };
+
+        /* report a file that failed validation */
+        const reportInvalid = async (pathname, reason) => {
+            const error = new ValidationError(`file is invalid: ${reason}.`, pathname);
+            plan.invalid.push({ pathname, reason: `file is invalid: ${reason}` });
+            this.emit(CloudinaryUploader.UPLOAD_ERROR, pathname, error);
+            await logger.error(error.toString(), { pathname, error });
+        };
+
+        /* check if the user is retrying a previous run's failures, only wants specific
+            files uploaded or all of those contained in the specified image directory */
+        const candidates = previous !== null ? [...retries.keys()] :
+            Array.isArray(specificFiles) ? specificFiles : (await listFiles(imgDir, {
+                ...(typeof recursive === 'object' ? recursive : {}),
+                recursive: !!recursive
+            }));
+        const candidateSet = new Set(candidates);
 
-            /* check if the user only wants specific files uploaded or all of those
-                contained in the specified image directory */
-            Array.isArray(specificFiles) ? specificFiles : (await readdir(imgDir)),
+        /* content hash of each file, keyed by filename, if needed */
+        const contentHashes = new Map();
 
-            /* filter-out invalid files or those that already exist on the server */
+        /* get an array of image filenames to upload to Cloudinary */
+        const selected = await asyncFilter(
+            candidates,
+
+            /* filter-out excluded and invalid files */
             async f => {
 
                 const pathname = imgDir + f;
 
-                /* perform basic client-side file validation */
-                const imgRes = await validator.isValidImage(pathname)
+                /* leave out files the user excluded and previous failures that would fail again */
+                const failure = retries.get(f);
+                const sidecarOf = metadata.getSidecarOf(f, candidateSet);
+                const skipReason = ownFiles.has(resolve(pathname)) ?
+                    'file is read or written by the uploader' :
+                    sidecarOf !== null ?
+                        `file is the sidecar of "${imgDir + sidecarOf}"` :
+                        failure?.permanent && !retryPermanent ?
+                            `previous upload failed permanently: ${failure.message}` :
+                            selector.getSkipReason(f);
+                if (skipReason !== null) {
+                    plan.excluded.push({ pathname, reason: skipReason });
+                    reportSkipped(pathname, skipReason);
+                    return false;
+                }
+
+                /* perform client-side file validation */
+                const { result: imgRes, reason } = await validationLimiter.run(
+                    () => validator.validate(pathname, { constraints: getConstraints(f) })
+                )
                     .catch(async error => {
-                        this.emit(CloudinaryUploader.UPLOAD_ERROR, pathname, error.toString());
-                        await logError(error.toString() + lineSep);
+                        await reportOpenError(pathname, error);
+                        return { result: null, reason: null };
                     });
 
                 /* log this file if it is invalid */
                 if (imgRes === INVALID) {
-                    const errorMsg = `Failed to upload "${pathname}": file is invalid.`;
-                    this.emit(CloudinaryUploader.UPLOAD_ERROR, pathname, errorMsg);
-                    await logError(errorMsg + lineSep);
+                    await reportInvalid(pathname, reason);
+                }
+                else if (imgRes === NOT_ALLOWED) {
+                    plan.notAllowed.push({ pathname, reason });
+                    reportSkipped(pathname, reason);
+                }
+
+                if (imgRes !== VALID) {
+                    return false;
                 }
 
-                return imgRes === VALID &&
-                    /* check for image existence on the server if required */
-                    (
-                        ignoreFileExistCheck ||
-                        !await this.#uploader.checkExists(f, {
-                            ...apiOptions
-                        })
-                    );
+                /* hash the file if it's needed to name it, to find duplicates or to compare it
+                    with the manifest */
+                let sha256 = null;
+                if (manifest !== null || namer.needsHash || duplicates !== null) {
+                    sha256 = await validationLimiter.run(() => UploadManifest.hashFile(pathname))
+                        .catch(error => reportOpenError(pathname, error));
+                    if (sha256 === undefined) {
+                        return false;
+                    }
+                }
+
+                /* get the file's params from its metadata, and its public ID; a public ID
+                    given by the metadata takes precedence over the naming options */
+                const params = await Promise.all([metadata.get(f), namer.getPublicId(f, sha256)])
+                    .then(([fileMetadata, publicId]) => {
+                        const params = getFileParams(f, { ...optionalParams, ...fileMetadata }, {
+                            publicId: fileMetadata.public_id ?? publicId,
+                            mirrorFolder: !namer.placesFolder
+                        });
+                        this.#uploader.validateParams(params);
+                        return params;
+                    })
+                    .catch(async error => {
+                        const reason = `its upload params are invalid: ${error.message.replace(/\.$/, '')}`;
+                        await reportInvalid(pathname, reason);
+                        return null;
+                    });
+                if (params === null) {
+                    return false;
+                }
+                fileParams.set(f, params);
+                contentHashes.set(f, sha256);
+                return true;
             });
 
-        const uploadController = new AbortController();
+        /* report, or leave out, files whose contents are identical to another file's */
+        const duplicateFiles = new Set();
+        for (const { filename, conflictsWith } of duplicates === null ? [] : findDuplicates(contentHashes)) {
+            const pathname = imgDir + filename;
+            const reason = `file is identical to "${imgDir + conflictsWith}"`;
+            plan.duplicates.push({ pathname, reason });
+            if (duplicates === DUPLICATE_POLICIES.SKIP) {
+                duplicateFiles.add(filename);
+                fileParams.delete(filename);
+                reportSkipped(pathname, reason);
+            }
+            else {
+                this.emit(CloudinaryUploader.DUPLICATE_FOUND, pathname, imgDir + conflictsWith);
+                logger.warn(`duplicate ${pathname}: ${reason}`, { pathname, reason });
+            }
+        }
+
+        /* rename, or leave out, files that would overwrite each other's uploads */
+        const collidingFiles = new Set();
+        for (const { filename, conflictsWith, publicId } of resolveCollisions(fileParams, collisions)) {
+            const pathname = imgDir + filename;
+            const collision = `public ID "${publicId}" is also the public ID of "${imgDir + conflictsWith}"`;
+            collidingFiles.add(filename);
+            fileParams.delete(filename);
+            if (collisions === COLLISION_POLICIES.SKIP) {
+                const reason = `file's ${collision}`;
+                plan.excluded.push({ pathname, reason });
+                reportSkipped(pathname, reason);
+            }
+            else {
+                await reportInvalid(pathname, `its ${collision}`);
+            }
+        }
+
+        const filenames = await asyncFilter(
+            selected.filter(f => !duplicateFiles.has(f) && !collidingFiles.has(f)),
+
+            /* filter-out files that are unchanged or already exist on the server */
+            async f => {
+
+                const pathname = imgDir + f;
+                const params = fileParams.get(f);
+                const sha256 = contentHashes.get(f);
+
+                /* with a manifest, changes are detected locally so there's no need to ask
+                    the server whether the file exists */
+                if (manifest !== null) {
+                    const entry = manifest.get(pathname);
+                    if (UploadManifest.isUnchanged(entry, sha256, params)) {
+                        const reason = 'file is unchanged since its last upload';
+                        report.addUnchanged(f, entry);
+                        plan.unchanged.push({ pathname, reason });
+                        reportSkipped(pathname, reason);
+                        return false;
+                    }
+
+                    hashes.set(pathname, sha256);
+
+                    /* replace the previous upload of a changed file; unsigned uploads can't ask
+                        to overwrite, so that's up to the upload preset */
+                    if (entry !== null && !this.#uploader.unsigned) {
+                        params.overwrite = true;
+                    }
+                    return true;
+                }
+
+                /* check for image existence on the server if required */
+                if (!ignoreFileExistCheck &&
+                    await this.#uploader.checkExists(params.public_id + extname(f), {
+                        folder: params.folder ?? null,
+                        limiter: existenceLimiter
+                    })) {
+
+                    plan.existing.push({ pathname, reason: 'file already exists on the server' });
+                    reportSkipped(pathname, 'file already exists on the server');
+                    return false;
+                }
+                return true;
+            });
+
+        if (dryRun) {
+            for (const f of filenames) {
+                const params = fileParams.get(f);
+                const { size } = await stat(imgDir + f);
+                plan.upload.push({
+                    pathname: imgDir + f,
+                    publicId: params.public_id,
+                    folder: params.folder ?? null,
+                    bytes: size
+                });
+                plan.totalBytes += size;
+            }
+            for (const list of Object.values(plan)) {
+                if (Array.isArray(list)) {
+                    list.sort(byPathname);
+                }
+            }
+            return plan;
+        }
+
+        /* the state file is only read and written when resuming, so a run that isn't never leaves
+            one behind or touches another run's */
+        const uploadState = stateFilename === null || !resume ? null : await UploadState.load(stateFilename);
+
+        /* whether the circuit breaker has paused the batch, and the probes of the API while it has */
+        let circuitOpen = false;
+        let circuit = null;
+
+        /* report a file that failed without stopping the batch */
+        const reportFailure = async (fileURL, error) => {
+            report.addFailure(fileURL, error, { optionalParams });
+            this.emit(CloudinaryUploader.UPLOAD_ERROR, fileURL, error);
+            await logger.error(error.toString(), { pathname: fileURL, error });
+        };
+
+        /* stop the batch because of a failure */
+        const reportCritical = async (fileURL, error) => {
+            abort();
+            report.addFailure(fileURL, error, { critical: true, optionalParams });
+            this.emit(CloudinaryUploader.UPLOAD_CRITICAL, fileURL, error);
+            await logger.error(`aborting the upload because of a critical error: ${error}`, {
+                pathname: fileURL,
+                error,
+                critical: true
+            });
+        };
+
+        /* pause the batch until the API responds to a probe; the failure that opened the circuit
+            is only reported once it's known whether the batch carries on, and the file isn't
+            uploaded again */
+        const openCircuit = async (fileURL, error, stopError) => {
+            const { probeInterval, maxProbes } = failures.circuitBreaker;
+            circuitOpen = true;
+            batch.pause('circuit breaker');
+            this.emit(CloudinaryUploader.CIRCUIT_OPENED, stopError, probeInterval);
+            logger.warn(`pausing the upload until the API responds: ${stopError.message}`, { probeInterval });
+
+            let healthy = false;
+            for (let probe = 0; probe < maxProbes && !healthy && !batch.signal.aborted; ++probe) {
+                await wait(probeInterval, undefined, { signal: batch.signal }).catch(() => {});
+                healthy = !batch.signal.aborted && (await this.#uploader.ping()).success;
+            }
+            circuitOpen = false;
+
+            if (healthy || batch.signal.aborted) {
+                await reportFailure(fileURL, error);
+            }
+            else {
+                await reportCritical(fileURL, stopError);
+            }
+            if (healthy) {
+                failures.reset();
+                this.emit(CloudinaryUploader.CIRCUIT_CLOSED);
+                logger.info('resuming the upload; the API is responding again');
+                /* the batch stays paused if the user paused it too */
+                batch.resume('circuit breaker');
+            }
+        };
 
         await this.#uploader.bulkUpload({
-            filenames,
+            /* nothing is left to upload if the batch was canceled while the files were being selected */
+            filenames: batch.signal.aborted ? [] : filenames,
             imgDir,
+            limiter: uploadLimiter,
             timeout: errorOptions.timeout,
             optionalParams,
-            signal: uploadController.signal,
+            fileParams,
+            signal: batch.signal,
+            gate: batch,
+            retry: new RetryPolicy(retryOptions),
+            state: uploadState,
+            onRetry: (fileURL, attempt, delay, error) => {
+                this.emit(CloudinaryUploader.UPLOAD_RETRY, fileURL, attempt, delay, error);
+                logger.warn(`retrying ${fileURL} in ${delay}ms`, { pathname: fileURL, attempt, error });
+            },
+            onProgress: (fileURL, bytesSent, bytesTotal) => {
+                this.emit(CloudinaryUploader.UPLOAD_PROGRESS, fileURL, bytesSent, bytesTotal);
+            },
+            onBatchProgress: progress => {
+                this.emit(CloudinaryUploader.BATCH_PROGRESS, progress);
+            },
             callback: async (fileURL, response, error) => {
-                // console.log(fileURL, response, String(error));
-                if (error && !uploadController.signal.aborted) {
-                    if (CloudinaryUploader.#isCriticalError(error)) {
-                        /* signal that a critical error occurred */
-                        uploadController.abort();
-                        this.emit(CloudinaryUploader.UPLOAD_CRITICAL, fileURL, error);
-                        await logError(`Aborting upload process due to critical error: ${error.toString()}`);
+                if (error && !batch.signal.aborted) {
+                    /* while the circuit is open, the uploads that were already in progress are
+                        expected to fail, so they don't count */
+                    const critical = !circuitOpen && failures.isCritical(error);
+                    const exceeded = critical || circuitOpen ? null : failures.recordFailure();
+
+                    if (!critical && exceeded === null) {
+                        await reportFailure(fileURL, error);
+                        return;
+                    }
+
+                    const stopError = critical ? error :
+                        new FailureThresholdError(`too many uploads failed: ${exceeded}`, fileURL, error);
+                    if (failures.circuitBreaker !== null) {
+                        circuit = openCircuit(fileURL, error, stopError);
                     }
                     else {
-                        this.emit(CloudinaryUploader.UPLOAD_ERROR, fileURL, error);
-                        await logError(error.toString() + lineSep);
+                        /* signal that a critical error occurred */
+                        await reportCritical(fileURL, stopError);
                     }
                 }
-                else {
+                else if (!error) {
+                    failures.recordSuccess();
+                    manifest?.set(fileURL, hashes.get(fileURL), response);
+                    report.addSuccess(fileURL.substring(imgDir.length), fileURL, response);
                     this.emit(CloudinaryUploader.UPLOAD_SUCCESS, fileURL, response);
-                }
-            }
-        })
-            .then(async () => {
-                /* check if files are still being written */
-                if (writeCount > 0) {
-                    /* wait to finish writing before closing the error file */
-                    await new Promise((resolve) => {
-                        this.once(CloudinaryUploader.#END_WRITE, () => {
-                            resolve();
-                        });
+                    logger.info(`uploaded ${fileURL}`, {
+                        pathname: fileURL,
+                        publicId: response?.public_id,
+                        url: response?.secure_url
                     });
                 }
-            });
+            }
+        });
+
+        /* the circuit may still be open if the batch was canceled while it was */
+        await circuit;
+
+        await manifest?.save();
+
+        /* wait for pending writes to finish before closing the error file */
+        await errorLog?.close();
 
-        await errorFileHandle?.close();
+        for (const list of Object.values(plan)) {
+            if (Array.isArray(list)) {
+                list.sort(byPathname);
+            }
+        }
+        const result = report.finish(plan, { canceled: batch.status === UploadBatch.STATUSES.CANCELED });
+        if (reportFilename !== null) {
+            await report.write(result, reportFilename, reportFormat);
+        }
+        return result;
     }
     /**
-     * Tests the connection to the Cloudinary API. Note that this request is rate-limited.
+     * Watch the image directory and upload new and modified files once they have stopped changing.
+     * Files are uploaded in batches by upload(), so they are selected, validated and named the same
+     * way and the same events are emitted; files that change while a batch is uploading are uploaded
+     * in the next batch. Watching stops if a critical error occurs.
      * 
-     * @returns {Promise<import('./uploader').pingResult>}
+     * Without a manifest, modified files that were already uploaded are skipped as already existing on
+     * the server unless the overwrite param is set; with one, they are uploaded again.
+     * 
+     * @param {Object} watchOptions - The options of upload(), except specificFiles, dryRun and retryFrom.
+     * The error file is added to after the first batch instead of being overwritten, and the report file
+     * is rewritten after each batch, covering that batch.
+     * 
+     * @param {number} watchOptions.stabilityDelay - Milliseconds a file must go without changing before
+     * it's uploaded, so files being written or copied aren't uploaded half-done; defaults to 1000.
+     * 
+     * @param {boolean} watchOptions.initial - Upload the files already in the directory when watching
+     * starts; defaults to true.
+     * 
+     * @returns {watchHandle}
      */
-    async ping() {
-        return this.#uploader.ping();
+    watch({
+        stabilityDelay = DirectoryWatcher.DEFAULT_STABILITY_DELAY,
+        initial = true,
+        ...uploadOptions
+    } = {}) {
+        const {
+            imgDir = '',
+            recursive = false,
+            errorOptions = {},
+            stateFilename = UploadState.DEFAULT_STATE_FILENAME,
+            manifestFilename = null,
+            metadataFilename = null,
+            reportFilename = null
+        } = uploadOptions;
+
+        const { errorFilename } = { ...this.#defaults.errorOptions, ...errorOptions };
+
+        /* files the uploader writes while watching; changes to these mustn't start another batch */
+        const ownFiles = new Set(
+            [manifestFilename, stateFilename, errorFilename, metadataFilename, reportFilename, ...this.#logger.filenames]
+                .filter(filename => typeof filename === 'string')
+                .map(filename => resolve(filename))
+        );
+
+        /* files that stopped changing and are waiting for the next batch */
+        const queue = new Set();
+
+        let closed = false;
+        let isFirstBatch = true;
+
+        /** @type {Promise<void>|null} */
+        let running = null;
+
+        let settle = null;
+        const finished = new Promise((resolve, reject) => {
+            settle = error => error ? reject(error) : resolve();
+        });
+        /* the error is also thrown by close(), so it isn't lost if finished is never awaited */
+        finished.catch(() => {});
+
+        const stop = (error = null) => {
+            if (!closed) {
+                closed = true;
+                watcher.close();
+                queue.clear();
+                this.off(CloudinaryUploader.UPLOAD_CRITICAL, onCritical);
+            }
+            /* let the batch in progress finish first, unless it's what failed */
+            Promise.resolve(error === null ? running : null).then(() => settle(error));
+        };
+
+        const onCritical = () => stop();
+
+        const runBatches = async () => {
+            try {
+                while (queue.size > 0 && !closed) {
+                    const filenames = [...queue].sort();
+                    queue.clear();
+                    await this.upload({
+                        ...uploadOptions,
+                        specificFiles: filenames,
+                        dryRun: false,
+                        retryFrom: null,
+                        resume: !!uploadOptions.resume,
+                        errorOptions: isFirstBatch ? errorOptions : { ...errorOptions, append: true }
+                    });
+                    isFirstBatch = false;
+                }
+            }
+            catch (error) {
+                stop(error);
+            }
+            finally {
+                running = null;
+            }
+        };
+
+        const enqueue = filename => {
+            queue.add(filename);
+            running ??= runBatches();
+        };
+
+        const watcher = new DirectoryWatcher(imgDir, {
+            recursive,
+            stabilityDelay,
+            isIgnored: filename => ownFiles.has(resolve(imgDir + filename)),
+            onStable: enqueue,
+            onError: error => stop(error)
+        });
+
+        this.on(CloudinaryUploader.UPLOAD_CRITICAL, onCritical);
+
+        /* e.g. the image directory doesn't exist; finished rejects with the error */
+        try {
+            watcher.start();
+        }
+        catch (error) {
+            stop(error);
+        }
+
+        if (initial && !closed) {
+            listFiles(imgDir, { ...(typeof recursive === 'object' ? recursive : {}), recursive: !!recursive })
+                .then(filenames => filenames.forEach(f => !closed && enqueue(f)))
+                .catch(error => stop(error));
+        }
+
+        return {
+            close: async () => {
+                stop();
+                return finished;
+            },
+            finished
+        };
     }
     /**
-     * Evaluates if an error is critical in severity and should stop the upload process.
+     * Upload a single Buffer, readable stream, remote URL, data URI or local file to Cloudinary.
+     * The content isn't validated. Large content is uploaded in chunks, including streams of unknown
+     * size; remote URLs are fetched, and data URIs decoded, by Cloudinary. Events are emitted with the
+     * content's identifier in place of a pathname. Optional params and the timeout not provided are
+     * taken from the uploader's configured defaults.
+     * 
+     * @param {string|Buffer|import('stream').Readable} content - Pathname of a file, a Buffer or readable
+     * stream of the contents to upload, or an http(s) URL or data URI.
+     * 
+     * @param {Object} options
+     * 
+     * @param {string|null} options.name - Identifier of the content in events and errors, and the filename
+     * sent with a Buffer or stream. Defaults to the pathname or URL, a summary of a data URI or Buffer, or
+     * the path of a file stream.
+     * 
+     * @param {number|null} options.size - Size of a stream in bytes, if known.
+     * 
+     * @param {{}} options.optionalParams - Optional Cloudinary API upload options, e.g. { public_id: 'thumb' }.
      * 
-     * @param {FileError} error
+     * @param {Object} options.retryOptions - Options for retrying failed requests; see RetryPolicy.
      * 
-     * @returns {boolean}
+     * @param {number} options.timeout - Milliseconds before each request is canceled.
+     * 
+     * @param {AbortSignal|null} options.signal - If provided and an abort event is emitted, the upload
+     * will be canceled.
+     * 
+     * @returns {Promise<{}>} - Object returned by Cloudinary detailing the upload. Rejects with a
+     * FileError if the upload fails.
      */
-    static #isCriticalError = error => {
-        /* a single file couldn't be opened (non-critical error) */
-        if (error instanceof FileOpenError) {
-            return false;
+    async uploadSource(content, {
+        name = null,
+        size = null,
+        optionalParams = {},
+        retryOptions = {},
+        timeout = this.#defaults.errorOptions?.timeout,
+        signal = null
+    } = {}) {
+        const source = UploadSource.from(content, { name, size });
+
+        optionalParams = { ...this.#defaults.optionalParams, ...optionalParams };
+        this.#uploader.validateParams(optionalParams);
+
+        try {
+            const response = await this.#uploader.chunkUpload(source, {
+                timeout,
+                optionalParams,
+                signal,
+                retry: new RetryPolicy(retryOptions),
+                onRetry: (id, attempt, delay, error) => {
+                    this.emit(CloudinaryUploader.UPLOAD_RETRY, id, attempt, delay, error);
+                    this.#logger.warn(`retrying ${id} in ${delay}ms`, { pathname: id, attempt, error });
+                },
+                onProgress: (id, bytesSent, bytesTotal) => {
+                    this.emit(CloudinaryUploader.UPLOAD_PROGRESS, id, bytesSent, bytesTotal);
+                }
+            });
+            this.emit(CloudinaryUploader.UPLOAD_SUCCESS, source.id, response.data);
+            this.#logger.info(`uploaded ${source.id}`, {
+                pathname: source.id,
+                publicId: response.data?.public_id,
+                url: response.data?.secure_url
+            });
+            return response.data;
         }
-        /* the server responded with an error (might be critical) */
-        else if (error instanceof ServerResponseError) {
-            switch (error.httpCode) {
-                /* non-critical error codes that correspond to a single file */
-                case BAD_REQUEST:
-                case NOT_FOUND:
-                case CONFLICT:
-                    return false;
-            }
+        catch (error) {
+            this.emit(CloudinaryUploader.UPLOAD_ERROR, source.id, error);
+            this.#logger.error(error.toString(), { pathname: source.id, error });
+            throw error;
         }
-        /* the error is unrecognized, but could include the user not having given proper
-            credentials (unauthorized), a timeout, or disconnection;
-            consider this error critical */
-        return true;
-    };
+    }
+    /**
+     * @typedef {Object} manageOptions - Options of the methods that manage uploaded assets.
+     * 
+     * @property {string} resourceType - Cloudinary resource type of the assets: "image" (the default),
+     * "video" or "raw".
+     * 
+     * @property {string} type - Delivery type of the assets: "upload" (the default), "private" or
+     * "authenticated".
+     * 
+     * @property {Object} retryOptions - Options for retrying failed requests; see RetryPolicy.
+     * 
+     * @property {number} timeout - Milliseconds before each request is canceled.
+     * 
+     * @property {AbortSignal|null} signal - If provided and an abort event is emitted, the request
+     * will be canceled.
+     */
+    /**
+     * List uploaded assets a page at a time. Requires the API key and secret, and counts towards the
+     * Admin API's rate limit.
+     * 
+     * @param {manageOptions & Object} options
+     * 
+     * @param {string|null} options.folder - Only list assets in this folder, including its subfolders.
+     * 
+     * @param {string|null} options.prefix - Only list assets whose public IDs, after the folder, begin
+     * with this prefix.
+     * 
+     * @param {number|null} options.maxResults - Number of assets per page, up to 500.
+     * 
+     * @param {string|null} options.nextCursor - Cursor returned with the previous page.
+     * 
+     * @param {boolean} options.includeTags - Include the tags of each asset.
+     * 
+     * @param {boolean} options.includeContext - Include the context metadata of each asset.
+     * 
+     * @returns {Promise<import('./uploader').resourcePage>}
+     */
+    async listResources({ folder = null, prefix = null, ...options } = {}) {
+        return this.#uploader.listResources({
+            ...this.#manageOptions(options),
+            prefix: folder === null ? prefix : `${folder}/${prefix ?? ''}`
+        });
+    }
+    /**
+     * List every uploaded asset matching the options, requesting pages as they're needed.
+     * 
+     * @param {manageOptions & Object} options - The options of listResources(), except nextCursor.
+     * 
+     * @returns {AsyncGenerator<{}>}
+     */
+    async *listAllResources(options = {}) {
+        let nextCursor = null;
+        do {
+            const page = await this.listResources({ ...options, nextCursor });
+            yield* page.resources;
+            nextCursor = page.nextCursor;
+        } while (nextCursor !== null);
+    }
+    /**
+     * Rename an uploaded asset, changing its public ID.
+     * 
+     * @param {string} fromPublicId
+     * 
+     * @param {string} toPublicId
+     * 
+     * @param {manageOptions & Object} options
+     * 
+     * @param {boolean} options.overwrite - Replace an asset that already has the new public ID.
+     * 
+     * @param {boolean} options.invalidate - Invalidate the CDN's cached copies of the asset.
+     * 
+     * @returns {Promise<{}>} - The renamed asset, as described by Cloudinary.
+     */
+    async rename(fromPublicId, toPublicId, options = {}) {
+        const asset = await this.#uploader.rename(fromPublicId, toPublicId, this.#manageOptions(options));
+        this.#logger.info(`renamed ${fromPublicId} to ${toPublicId}`, { publicId: fromPublicId, to: toPublicId });
+        return asset;
+    }
+    /**
+     * Delete an uploaded asset.
+     * 
+     * @param {string} publicId
+     * 
+     * @param {manageOptions & Object} options
+     * 
+     * @param {boolean} options.invalidate - Invalidate the CDN's cached copies of the asset.
+     * 
+     * @returns {Promise<{result: string}>} - The result is "ok", or "not found" if no asset has the public ID.
+     */
+    async destroy(publicId, options = {}) {
+        const result = await this.#uploader.destroy(publicId, this.#manageOptions(options));
+        this.#logger.info(`deleted ${publicId}: ${result.result}`, { publicId, result: result.result });
+        return result;
+    }
+    /**
+     * Delete uploaded assets by public ID, up to 100 per request. Requests count towards the Admin API's
+     * rate limit.
+     * 
+     * @param {string[]} publicIds
+     * 
+     * @param {manageOptions & Object} options
+     * 
+     * @param {boolean} options.invalidate - Invalidate the CDN's cached copies of the assets.
+     * 
+     * @returns {Promise<{deleted: Object<string, string>}>} - Result of each public ID: "deleted" or "not_found".
+     */
+    async deleteResources(publicIds, options = {}) {
+        const result = await this.#uploader.deleteResources(publicIds, this.#manageOptions(options));
+        const notFound = Object.keys(result.deleted).filter(publicId => result.deleted[publicId] !== 'deleted');
+        this.#logger.info(`deleted ${publicIds.length - notFound.length} of ${publicIds.length} assets`, { notFound });
+        return result;
+    }
+    /**
+     * Add tags to uploaded assets.
+     * 
+     * @param {string|string[]} tags
+     * 
+     * @param {string[]} publicIds
+     * 
+     * @param {manageOptions} options
+     * 
+     * @returns {Promise<string[]>} - Public IDs of the assets that were tagged.
+     */
+    async addTags(tags, publicIds, options = {}) {
+        const updated = await this.#uploader.addTags(tags, publicIds, this.#manageOptions(options));
+        this.#logger.info(`tagged ${updated.length} assets with ${[tags].flat().join(', ')}`, { tags });
+        return updated;
+    }
+    /**
+     * Remove tags from uploaded assets.
+     * 
+     * @param {string|string[]} tags
+     * 
+     * @param {string[]} publicIds
+     * 
+     * @param {manageOptions} options
+     * 
+     * @returns {Promise<string[]>} - Public IDs of the assets whose tags were removed.
+     */
+    async removeTags(tags, publicIds, options = {}) {
+        const updated = await this.#uploader.removeTags(tags, publicIds, this.#manageOptions(options));
+        this.#logger.info(`removed ${[tags].flat().join(', ')} from ${updated.length} assets`, { tags });
+        return updated;
+    }
+    /**
+     * Add context metadata, such as alt text or a caption, to uploaded assets, replacing the values of
+     * keys they already have.
+     * 
+     * @param {string|{}} context - Key-value pairs as an object, e.g. { alt: 'A red bike' }, or a string,
+     * e.g. "alt=A red bike|caption=Sale".
+     * 
+     * @param {string[]} publicIds
+     * 
+     * @param {manageOptions} options
+     * 
+     * @returns {Promise<string[]>} - Public IDs of the assets that were updated.
+     */
+    async updateContext(context, publicIds, options = {}) {
+        const pairs = typeof context === 'string' ? context : FileMetadata.toUploadParams({ context }).context ?? '';
+        const updated = await this.#uploader.updateContext(pairs, publicIds, this.#manageOptions(options));
+        this.#logger.info(`updated the context of ${updated.length} assets`, { context: pairs });
+        return updated;
+    }
+    /**
+     * Remove all context metadata from uploaded assets.
+     * 
+     * @param {string[]} publicIds
+     * 
+     * @param {manageOptions} options
+     * 
+     * @returns {Promise<string[]>} - Public IDs of the assets that were updated.
+     */
+    async removeContext(publicIds, options = {}) {
+        const updated = await this.#uploader.removeContext(publicIds, this.#manageOptions(options));
+        this.#logger.info(`removed the context of ${updated.length} assets`);
+        return updated;
+    }
+    /**
+     * Convert the options of a method that manages assets to the options of the Uploader's method,
+     * applying the configured default timeout.
+     * 
+     * @param {manageOptions & Object} options
+     * 
+     * @returns {{}}
+     */
+    #manageOptions({ retryOptions = {}, timeout = this.#defaults.errorOptions?.timeout, ...options }) {
+        return { ...options, timeout, retry: new RetryPolicy(retryOptions) };
+    }
+    /**
+     * Tests the connection to the Cloudinary API. Note that this request is rate-limited.
+     * 
+     * @returns {Promise<import('./uploader').pingResult>}
+     */
+    async ping() {
+        return this.#uploader.ping();
+    }
 };
 
 module.exports = CloudinaryUploader;
\ No newline at end of file
@@ -0,0 +1,169 @@
+const wait = require('timers/promises').setTimeout;
+
+const RetryPolicy = require('./retry_policy');
+
+/* HTTP codes Cloudinary responds with when an account's rate limit is exceeded */
+const RATE_LIMITED_STATUS_CODES = [420, 429];
+
+/* milliseconds to pause after being rate limited when the server doesn't say how long to wait */
+const DEFAULT_RATE_LIMIT_PAUSE = 5000;
+
+/**
+ * Class that limits how many tasks run at once. In adaptive mode, the tasks are expected to
+ * be HTTP requests resolving to (or rejecting with errors that carry) axios responses, and the
+ * limit is lowered, and requests paced or paused, as the responses show the account approaching
+ * its rate limit through the x-featureratelimit-remaining and x-featureratelimit-reset headers
+ * or 420 and 429 responses. The limit is raised again, one at a time, as requests succeed without
+ * signs of pressure.
+ */
+const ConcurrencyLimiter = class {
+    #limit;
+    #adaptive;
+    #active = 0;
+
+    /** @type {(() => void)[]} */
+    #waiting = [];
+
+    /* time before which no task may start, while rate limited */
+    #resumeAt = 0;
+
+    /* minimum milliseconds between the starts of tasks, to spread the remaining requests
+        over the rest of the rate limit window */
+    #interval = 0;
+    #lastStart = 0;
+
+    /* tasks that succeeded since the limit was last changed */
+    #successes = 0;
+
+    /**
+     * @param {number} maxConcurrency - Maximum number of tasks that run at once.
+     * 
+     * @param {Object} options
+     * 
+     * @param {boolean} options.adaptive - Adapt the limit to rate limit headers and responses.
+     */
+    constructor(maxConcurrency, { adaptive = false } = {}) {
+        if (!Number.isInteger(maxConcurrency) || maxConcurrency < 1) {
+            throw new TypeError(`Concurrency must be a positive integer; got "${maxConcurrency}".`);
+        }
+        this.maxConcurrency = maxConcurrency;
+        this.#limit = maxConcurrency;
+        this.#adaptive = adaptive;
+    }
+    /**
+     * Number of tasks currently allowed to run at once.
+     * 
+     * @returns {number}
+     */
+    get limit() {
+        return this.#limit;
+    }
+    /**
+     * Run a task once fewer tasks than the limit are running.
+     * 
+     * @template T
+     * 
+     * @param {() => Promise<T>} task
+     * 
+     * @param {Object} options
+     * 
+     * @param {AbortSignal|null} options.signal - If provided and an abort event is emitted
+     * while the task is paused by a rate limit, the task is rejected without running.
+     * 
+     * @returns {Promise<T>}
+     */
+    async run(task, { signal = null } = {}) {
+        while (this.#active >= this.#limit) {
+            await new Promise(resolve => this.#waiting.push(resolve));
+        }
+        ++this.#active;
+        try {
+            await this.#waitForTurn(signal);
+            const result = await task();
+            this.#observe(result);
+            return result;
+        }
+        catch (error) {
+            this.#observe(error?.response);
+            throw error;
+        }
+        finally {
+            --this.#active;
+            this.#wakeWaiting();
+        }
+    }
+    /**
+     * Wait until a rate limit pause ends and enough time has passed since the last task started.
+     * 
+     * @param {AbortSignal|null} signal
+     * 
+     * @returns {Promise<void>}
+     */
+    async #waitForTurn(signal) {
+        for (; ;) {
+            const startAt = Math.max(this.#resumeAt, this.#lastStart + this.#interval);
+            if (startAt <= Date.now()) {
+                break;
+            }
+            await wait(startAt - Date.now(), undefined, { signal: signal ?? undefined });
+        }
+        this.#lastStart = Date.now();
+    }
+    /**
+     * Let waiting tasks check whether they can run.
+     */
+    #wakeWaiting() {
+        const waiting = this.#waiting;
+        this.#waiting = [];
+        for (const resolve of waiting) {
+            resolve();
+        }
+    }
+    /**
+     * Adapt the limit to the response of a task.
+     * 
+     * @param {{status: number, headers: {}}|undefined} response
+     */
+    #observe(response) {
+        if (!this.#adaptive || response?.headers === undefined) {
+            return;
+        }
+        const { status, headers } = response;
+
+        if (RATE_LIMITED_STATUS_CODES.includes(status)) {
+            this.#decrease();
+            const delay = RetryPolicy.getServerDelay(headers, status) ?? DEFAULT_RATE_LIMIT_PAUSE;
+            this.#resumeAt = Math.max(this.#resumeAt, Date.now() + delay);
+            return;
+        }
+
+        const remaining = Number(headers['x-featureratelimit-remaining'] ?? NaN);
+        const resetMs = Date.parse(headers['x-featureratelimit-reset'] ?? '') - Date.now();
+
+        if (Number.isFinite(remaining) && Number.isFinite(resetMs) && resetMs > 0) {
+            if (remaining <= 0) {
+                this.#decrease();
+                this.#resumeAt = Math.max(this.#resumeAt, Date.now() + resetMs);
+                return;
+            }
+            /* once few requests remain, pace them so they last until the window resets */
+            this.#interval = remaining <= this.maxConcurrency * 2 ? resetMs / remaining : 0;
+        }
+
+        /* raise the limit again after a full round of requests succeeds */
+        if (this.#limit < this.maxConcurrency && ++this.#successes >= this.#limit) {
+            ++this.#limit;
+            this.#successes = 0;
+            this.#wakeWaiting();
+        }
+    }
+    /**
+     * Halve the limit, to a minimum of one task at a time.
+     */
+    #decrease() {
+        this.#limit = Math.max(1, Math.floor(this.#limit / 2));
+        this.#successes = 0;
+    }
+};
+
+module.exports = ConcurrencyLimiter;
\ No newline at end of file
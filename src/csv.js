@@ -0,0 +1,81 @@
+/**
+ * Format a value as a CSV field, quoting it if it contains a delimiter, quote or line break.
+ * 
+ * @param {any} value - Null and undefined values become empty fields.
+ * 
+ * @returns {string}
+ */
+const formatField = (value) => {
+    const str = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+};
+
+/**
+ * Format values as a row of comma-separated fields, without a line terminator.
+ * 
+ * @param {any[]} values
+ * 
+ * @returns {string}
+ */
+const formatRow = (values) => values.map(formatField).join(',');
+
+/**
+ * Parse comma-separated text into rows of fields. Quoted fields may contain delimiters, escaped
+ * quotes and line breaks. Empty lines are left out.
+ * 
+ * @param {string} text
+ * 
+ * @returns {string[][]}
+ */
+const parseRows = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    const endRow = () => {
+        row.push(field);
+        if (row.length > 1 || row[0] !== '') {
+            rows.push(row);
+        }
+        row = [];
+        field = '';
+    };
+
+    for (let i = 0; i < text.length; ++i) {
+        const char = text[i];
+        if (quoted) {
+            if (char !== '"') {
+                field += char;
+            }
+            /* a doubled quote is an escaped quote */
+            else if (text[i + 1] === '"') {
+                field += '"';
+                ++i;
+            }
+            else {
+                quoted = false;
+            }
+        }
+        else if (char === '"') {
+            quoted = true;
+        }
+        else if (char === ',') {
+            row.push(field);
+            field = '';
+        }
+        else if (char === '\n') {
+            endRow();
+        }
+        else if (char !== '\r') {
+            field += char;
+        }
+    }
+    endRow();
+    return rows;
+};
+
+module.exports = {
+    formatRow,
+    parseRows
+};
\ No newline at end of file
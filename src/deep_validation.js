@@ -0,0 +1,311 @@
+const ByteReader = require('./byte_reader');
+
+/* PNG signature, including the line endings and EOF character that detect text-mode transfers */
+const PNG_SIGNATURE = '89504e470d0a1a0a';
+
+/* largest chunk length allowed by the PNG specification */
+const PNG_MAX_CHUNK_LENGTH = 0x7fffffff;
+
+/* JPEG markers */
+const JPEG_SOI = 0xd8;
+const JPEG_EOI = 0xd9;
+const JPEG_SOS = 0xda;
+
+/* GIF block introducers */
+const GIF_IMAGE = 0x2c;
+const GIF_EXTENSION = 0x21;
+const GIF_TRAILER = 0x3b;
+
+/* CRC-32 lookup table, as used by PNG chunks */
+const CRC_TABLE = new Int32Array(256).map((_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; ++k) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c;
+});
+
+/**
+ * Update a CRC-32 with more data. Start with 0xffffffff and invert the final value.
+ * 
+ * @param {number} crc
+ * 
+ * @param {Buffer} data
+ * 
+ * @returns {number}
+ */
+const updateCrc = (crc, data) => {
+    for (const byte of data) {
+        crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+    }
+    return crc;
+};
+
+/**
+ * Format a byte as a hex string, e.g. 0xd9 becomes "FFD9" when formatted as a JPEG marker.
+ * 
+ * @param {number} byte
+ * 
+ * @returns {string}
+ */
+const toHex = byte => byte.toString(16).toUpperCase().padStart(2, '0');
+
+/**
+ * Walk the chunks of a PNG file, checking each chunk's CRC and that the file ends with an
+ * IEND chunk.
+ * 
+ * @param {ByteReader} reader
+ * 
+ * @returns {Promise<string|null>} - Reason the file is corrupt, or null if it isn't.
+ */
+const validatePng = async (reader) => {
+    const signature = await reader.read(8);
+    if (signature?.toString('hex') !== PNG_SIGNATURE) {
+        return 'the PNG signature is damaged';
+    }
+
+    let hasImageData = false;
+    for (let first = true; ; first = false) {
+        const offset = reader.position;
+        const header = await reader.read(8);
+        if (header === null) {
+            return 'the file is truncated; it has no IEND chunk';
+        }
+        const length = header.readUInt32BE(0);
+        const type = header.toString('latin1', 4, 8);
+
+        if (!/^[A-Za-z]{4}$/.test(type)) {
+            return `the chunk at byte ${offset} has an invalid type`;
+        }
+        if (first && type !== 'IHDR') {
+            return 'the first chunk is not IHDR';
+        }
+        if (length > PNG_MAX_CHUNK_LENGTH) {
+            return `the ${type} chunk at byte ${offset} has an invalid length`;
+        }
+
+        let crc = updateCrc(0xffffffff, header.subarray(4));
+        if (!await reader.skip(length, data => { crc = updateCrc(crc, data); })) {
+            return `the file is truncated in the ${type} chunk at byte ${offset}`;
+        }
+        const expectedCrc = await reader.read(4);
+        if (expectedCrc === null) {
+            return `the file is truncated in the ${type} chunk at byte ${offset}`;
+        }
+        if (expectedCrc.readUInt32BE(0) !== (~crc >>> 0)) {
+            return `the ${type} chunk at byte ${offset} has a bad CRC`;
+        }
+
+        if (type === 'IDAT') {
+            hasImageData = true;
+        }
+        else if (type === 'IEND') {
+            return hasImageData ? null : 'the file has no IDAT chunk';
+        }
+    }
+};
+
+/**
+ * Read past the entropy-coded data that follows a JPEG SOS segment, stopping at the next marker.
+ * Byte-stuffed 0xFF bytes (0xFF00) and restart markers (0xFFD0 to 0xFFD7) are part of the data.
+ * 
+ * @param {ByteReader} reader
+ * 
+ * @returns {Promise<boolean>} - False if the file ends first.
+ */
+const skipScanData = async (reader) => {
+    for (; ;) {
+        if (!await reader.ensure(2)) {
+            return false;
+        }
+        const data = reader.peek();
+        let pos = data.indexOf(0xff);
+        while (pos !== -1 && pos + 1 < data.length &&
+            (data[pos + 1] === 0x00 || (data[pos + 1] >= 0xd0 && data[pos + 1] <= 0xd7))) {
+            pos = data.indexOf(0xff, pos + 2);
+        }
+        if (pos !== -1 && pos + 1 < data.length) {
+            reader.consume(pos);
+            return true;
+        }
+        /* keep a trailing 0xFF since the byte after it hasn't been read yet */
+        reader.consume(pos === -1 ? data.length : pos);
+    }
+};
+
+/**
+ * Walk the segments of a JPEG file, checking that it starts with an SOI marker, that each
+ * segment's length fits within the file and that the file ends with an EOI marker.
+ * 
+ * @param {ByteReader} reader
+ * 
+ * @returns {Promise<string|null>} - Reason the file is corrupt, or null if it isn't.
+ */
+const validateJpeg = async (reader) => {
+    const soi = await reader.read(2);
+    if (soi?.[0] !== 0xff || soi[1] !== JPEG_SOI) {
+        return 'the file has no SOI marker';
+    }
+
+    for (; ;) {
+        const offset = reader.position;
+        let byte = await reader.readByte();
+        if (byte === null) {
+            return 'the file is truncated; it has no EOI marker';
+        }
+        if (byte !== 0xff) {
+            return `expected a marker at byte ${offset}`;
+        }
+        /* markers may be preceded by any number of 0xFF fill bytes */
+        while (byte === 0xff) {
+            byte = await reader.readByte();
+        }
+        if (byte === null) {
+            return 'the file is truncated; it has no EOI marker';
+        }
+        const marker = byte;
+
+        if (marker === JPEG_EOI) {
+            return null;
+        }
+        /* standalone markers have no length or contents */
+        if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+            continue;
+        }
+        if (marker === 0x00 || marker === JPEG_SOI) {
+            return `unexpected marker FF${toHex(marker)} at byte ${offset}`;
+        }
+
+        const lengthBytes = await reader.read(2);
+        if (lengthBytes === null) {
+            return `the file is truncated in the FF${toHex(marker)} segment at byte ${offset}`;
+        }
+        const length = lengthBytes.readUInt16BE(0);
+        if (length < 2) {
+            return `the FF${toHex(marker)} segment at byte ${offset} has an invalid length`;
+        }
+        if (!await reader.skip(length - 2)) {
+            return `the file is truncated in the FF${toHex(marker)} segment at byte ${offset}`;
+        }
+        if (marker === JPEG_SOS && !await skipScanData(reader)) {
+            return 'the file is truncated in the image data; it has no EOI marker';
+        }
+    }
+};
+
+/**
+ * Read past a sequence of GIF data sub-blocks, which ends with an empty sub-block.
+ * 
+ * @param {ByteReader} reader
+ * 
+ * @returns {Promise<boolean>} - False if the file ends first.
+ */
+const skipSubBlocks = async (reader) => {
+    for (; ;) {
+        const size = await reader.readByte();
+        if (size === null) {
+            return false;
+        }
+        if (size === 0) {
+            return true;
+        }
+        if (!await reader.skip(size)) {
+            return false;
+        }
+    }
+};
+
+/**
+ * Walk the blocks of a GIF file, checking that each block is complete and that the file
+ * ends with a trailer.
+ * 
+ * @param {ByteReader} reader
+ * 
+ * @returns {Promise<string|null>} - Reason the file is corrupt, or null if it isn't.
+ */
+const validateGif = async (reader) => {
+    /* header and logical screen descriptor */
+    const header = await reader.read(13);
+    if (header === null) {
+        return 'the file is truncated in its header';
+    }
+    const screenFlags = header[10];
+    if (screenFlags & 0x80 && !await reader.skip(3 * 2 ** ((screenFlags & 0x07) + 1))) {
+        return 'the file is truncated in its global color table';
+    }
+
+    let imageCount = 0;
+    for (; ;) {
+        const offset = reader.position;
+        const introducer = await reader.readByte();
+        if (introducer === null) {
+            return 'the file is truncated; it has no trailer';
+        }
+        if (introducer === GIF_TRAILER) {
+            return imageCount > 0 ? null : 'the file has no images';
+        }
+        if (introducer === GIF_IMAGE) {
+            const descriptor = await reader.read(9);
+            const imageFlags = descriptor?.[8];
+            const complete = descriptor !== null &&
+                (!(imageFlags & 0x80) || await reader.skip(3 * 2 ** ((imageFlags & 0x07) + 1))) &&
+                /* LZW minimum code size */
+                await reader.readByte() !== null &&
+                await skipSubBlocks(reader);
+            if (!complete) {
+                return `the file is truncated in the image at byte ${offset}`;
+            }
+            ++imageCount;
+        }
+        else if (introducer === GIF_EXTENSION) {
+            /* extension label */
+            if (await reader.readByte() === null || !await skipSubBlocks(reader)) {
+                return `the file is truncated in the extension at byte ${offset}`;
+            }
+        }
+        else {
+            return `unexpected block ${toHex(introducer)} at byte ${offset}`;
+        }
+    }
+};
+
+/* deep validation of each supported format, keyed by file extension */
+const deepValidators = new Map(
+    [
+        ['png', validatePng],
+        ['jpg', validateJpeg],
+        ['gif', validateGif]
+    ]
+);
+
+/* set format type aliases */
+deepValidators.set('jpeg', deepValidators.get('jpg'));
+deepValidators.set('jpe', deepValidators.get('jpg'));
+
+/**
+ * Check the structure of a whole file for truncation and corruption. Returns null for
+ * formats that can't be checked.
+ * 
+ * @param {string} filename
+ * 
+ * @param {string} type - Lowercase file extension.
+ * 
+ * @returns {Promise<string|null>} - Reason the file is corrupt, or null if it isn't.
+ */
+const findCorruption = async (filename, type) => {
+    const validate = deepValidators.get(type);
+    if (validate === undefined) {
+        return null;
+    }
+    const reader = new ByteReader(filename);
+    try {
+        return await validate(reader);
+    }
+    finally {
+        await reader.close();
+    }
+};
+
+module.exports = {
+    findCorruption
+};
\ No newline at end of file
@@ -0,0 +1,286 @@
+const { watch } = require('fs');
+
+const { lstat, readdir, stat } = require('fs/promises');
+
+const { sep } = require('path');
+
+/* default milliseconds a file must go without changing before it's considered complete */
+const DEFAULT_STABILITY_DELAY = 1000;
+
+/**
+ * Class that watches a directory for new and modified files and reports each one once it has
+ * stopped changing, so files that are still being written or copied aren't picked up half-done.
+ * A file is considered complete once its size and modification time are the same on two checks
+ * made a delay apart, with no change events in between.
+ * 
+ * Each directory is watched on its own rather than with a recursive watcher, which isn't available
+ * on Linux before Node.js 20; subdirectories that are created while watching are watched as well.
+ */
+const DirectoryWatcher = class {
+    #imgDir;
+    #recursive;
+    #maxDepth;
+    #skipHidden;
+    #stabilityDelay;
+    #isIgnored;
+    #onStable;
+    #onError;
+
+    /** @type {Map<string, import('fs').FSWatcher>} - watchers by directory relative to the image directory */
+    #watchers = new Map();
+
+    /* pending checks of files that changed, and their size and modification time when last checked */
+    #timers = new Map();
+    #lastStats = new Map();
+
+    static DEFAULT_STABILITY_DELAY = DEFAULT_STABILITY_DELAY;
+
+    /**
+     * @param {string} imgDir - Directory to watch; must end with a path separator unless empty.
+     * 
+     * @param {Object} options
+     * 
+     * @param {boolean|Object} options.recursive - Also watch subdirectories. Provide an object to
+     * configure which subdirectories are watched.
+     * 
+     * @param {number} options.recursive.maxDepth - Maximum number of subdirectory levels to watch.
+     * 
+     * @param {boolean} options.recursive.skipHidden - Don't watch directories whose names begin with
+     * a dot; defaults to true.
+     * 
+     * @param {number} options.stabilityDelay - Milliseconds a file must go without changing before
+     * it's reported.
+     * 
+     * @param {(filename: string) => boolean} options.isIgnored - Returns true for files not to report.
+     * 
+     * @param {(filename: string) => void} options.onStable - Called with the pathname, relative to the
+     * image directory, of each new or modified file once it has stopped changing.
+     * 
+     * @param {(error: Error) => void} options.onError - Called if the directory can no longer be
+     * watched, e.g. because it was removed, or its subdirectories can't be listed; the watcher is
+     * closed first.
+     */
+    constructor(imgDir, {
+        recursive = false,
+        stabilityDelay = DEFAULT_STABILITY_DELAY,
+        isIgnored = () => false,
+        onStable,
+        onError
+    }) {
+        if (!Number.isInteger(stabilityDelay) || stabilityDelay < 0) {
+            throw new TypeError(`The stability delay must be a non-negative integer; got "${stabilityDelay}".`);
+        }
+        this.#imgDir = imgDir;
+        this.#recursive = !!recursive;
+        this.#maxDepth = recursive?.maxDepth ?? Infinity;
+        this.#skipHidden = recursive?.skipHidden ?? true;
+        this.#stabilityDelay = stabilityDelay;
+        this.#isIgnored = isIgnored;
+        this.#onStable = onStable;
+        this.#onError = onError;
+    }
+    /**
+     * Start watching the directory. Its subdirectories are then listed and watched in the background.
+     * 
+     * @returns {this}
+     * 
+     * @throws {Error} If the directory can't be watched, e.g. because it doesn't exist.
+     */
+    start() {
+        this.#watchDir('');
+        if (this.#recursive) {
+            this.#watchSubdirs('', false).catch(error => this.#fail(error));
+        }
+        return this;
+    }
+    /**
+     * Stop watching the directory. Files that haven't stopped changing yet aren't reported.
+     */
+    close() {
+        for (const watcher of this.#watchers.values()) {
+            watcher.close();
+        }
+        this.#watchers.clear();
+        for (const timer of this.#timers.values()) {
+            clearTimeout(timer);
+        }
+        this.#timers.clear();
+        this.#lastStats.clear();
+    }
+    /**
+     * Close the watcher and report an error.
+     * 
+     * @param {Error} error
+     */
+    #fail(error) {
+        this.close();
+        this.#onError(error);
+    }
+    /**
+     * Watch a single directory, without its subdirectories.
+     * 
+     * @param {string} relDir - Directory relative to the image directory; ends with a slash unless empty.
+     */
+    #watchDir(relDir) {
+        const watcher = watch(this.#imgDir + relDir || '.', (_, filename) => {
+            /* some platforms don't always say which file changed */
+            if (filename) {
+                this.#schedule(relDir + filename.split(sep).join('/'));
+            }
+        });
+        watcher.on('error', error => {
+            /* a removed subdirectory simply stops being watched */
+            if (relDir === '') {
+                this.#fail(error);
+            }
+            else {
+                this.#unwatchDir(relDir);
+            }
+        });
+        this.#watchers.set(relDir, watcher);
+    }
+    /**
+     * Stop watching a directory and its subdirectories.
+     * 
+     * @param {string} relDir
+     */
+    #unwatchDir(relDir) {
+        for (const [dir, watcher] of this.#watchers) {
+            if (dir.startsWith(relDir)) {
+                watcher.close();
+                this.#watchers.delete(dir);
+            }
+        }
+    }
+    /**
+     * Watch the subdirectories of a watched directory, down to the maximum depth. Symbolically linked
+     * directories aren't followed.
+     * 
+     * @param {string} relDir
+     * 
+     * @param {boolean} isNew - The directory was created while watching; its files are reported too,
+     * since they may have been added before it was watched.
+     * 
+     * @returns {Promise<void>}
+     */
+    async #watchSubdirs(relDir, isNew) {
+        const entries = await readdir(this.#imgDir + relDir || '.', { withFileTypes: true });
+
+        /* the watcher was closed, or the directory removed, while it was being listed */
+        if (!this.#watchers.has(relDir)) {
+            return;
+        }
+
+        for (const entry of entries) {
+            const relPath = relDir + entry.name;
+            if (!entry.isDirectory()) {
+                if (isNew) {
+                    this.#schedule(relPath);
+                }
+            }
+            else if (this.#isWatched(`${relPath}/`) && !this.#watchers.has(`${relPath}/`)) {
+                try {
+                    this.#watchDir(`${relPath}/`);
+                    await this.#watchSubdirs(`${relPath}/`, isNew);
+                }
+                catch (error) {
+                    /* the subdirectory was removed while it was being listed */
+                    if (error.code !== 'ENOENT') {
+                        throw error;
+                    }
+                    this.#unwatchDir(`${relPath}/`);
+                }
+            }
+        }
+    }
+    /**
+     * Watch a subdirectory created while watching, and report the files it already contains.
+     * 
+     * @param {string} relDir - Subdirectory relative to the image directory, ending with a slash.
+     * 
+     * @returns {Promise<void>}
+     */
+    async #addDir(relDir) {
+        const stats = await lstat(this.#imgDir + relDir);
+        if (!stats.isDirectory() || this.#watchers.size === 0 || this.#watchers.has(relDir)) {
+            return;
+        }
+        this.#watchDir(relDir);
+        await this.#watchSubdirs(relDir, true);
+    }
+    /**
+     * Check if a file is in a directory that is watched.
+     * 
+     * @param {string} filename
+     * 
+     * @returns {boolean}
+     */
+    #isWatched(filename) {
+        const dirs = filename.split('/').slice(0, -1);
+        if (dirs.length > 0 && !this.#recursive) {
+            return false;
+        }
+        return dirs.length <= this.#maxDepth && !(this.#skipHidden && dirs.some(dir => dir.startsWith('.')));
+    }
+    /**
+     * Check a file once it has gone without change events for the stability delay, restarting
+     * the delay if it was already waiting.
+     * 
+     * @param {string} filename
+     */
+    #schedule(filename) {
+        if (!this.#isWatched(filename) || this.#isIgnored(filename)) {
+            return;
+        }
+        clearTimeout(this.#timers.get(filename));
+        this.#lastStats.delete(filename);
+        const timer = setTimeout(() => this.#check(filename, timer), this.#stabilityDelay);
+        this.#timers.set(filename, timer);
+    }
+    /**
+     * Report a file if its size and modification time haven't changed since it was last checked;
+     * otherwise check it again after the stability delay.
+     * 
+     * @param {string} filename
+     * 
+     * @param {NodeJS.Timeout} timer - Timer that started this check.
+     * 
+     * @returns {Promise<void>}
+     */
+    async #check(filename, timer) {
+        const stats = await stat(this.#imgDir + filename).catch(_ => null);
+
+        /* the file changed again while it was being checked, or the watcher was closed */
+        if (this.#timers.get(filename) !== timer) {
+            return;
+        }
+
+        /* the file was removed, or is a directory */
+        if (stats === null || !stats.isFile()) {
+            this.#timers.delete(filename);
+            this.#lastStats.delete(filename);
+            if (stats === null) {
+                this.#unwatchDir(`${filename}/`);
+            }
+            else if (stats.isDirectory() && this.#recursive && this.#isWatched(`${filename}/`)) {
+                /* the subdirectory may be removed before it's watched */
+                this.#addDir(`${filename}/`).catch(error => error.code === 'ENOENT' || this.#fail(error));
+            }
+            return;
+        }
+
+        const last = this.#lastStats.get(filename);
+        if (last?.size === stats.size && last.mtimeMs === stats.mtimeMs) {
+            this.#timers.delete(filename);
+            this.#lastStats.delete(filename);
+            this.#onStable(filename);
+            return;
+        }
+
+        this.#lastStats.set(filename, { size: stats.size, mtimeMs: stats.mtimeMs });
+        const next = setTimeout(() => this.#check(filename, next), this.#stabilityDelay);
+        this.#timers.set(filename, next);
+    }
+};
+
+module.exports = DirectoryWatcher;
\ No newline at end of file
@@ -0,0 +1,274 @@
+const { EOL } = require('os');
+
+const { open, readFile } = require('fs/promises');
+
+const { formatRow, parseRows } = require('./csv');
+
+const { ServerResponseError, ValidationError } = require('./errors');
+
+const { BAD_REQUEST } = require('http-status-codes').StatusCodes;
+
+/* supported error log formats */
+const FORMATS = Object.freeze({
+    TEXT: 'text',
+    JSONL: 'jsonl',
+    CSV: 'csv'
+});
+
+/* columns of the CSV format, in order */
+const CSV_COLUMNS = [
+    'timestamp', 'pathname', 'type', 'httpCode', 'serverMessage', 'critical', 'message', 'permanent', 'optionalParams'
+];
+
+/**
+ * @typedef {Object} errorEntry - Structured record of an error, as written by the jsonl and csv formats.
+ * 
+ * @property {string} timestamp - ISO 8601 time the error was logged.
+ * 
+ * @property {string} pathname - Pathname of the file that failed.
+ * 
+ * @property {string} type - Class of the error, e.g. FileOpenError, ServerResponseError or ValidationError.
+ * 
+ * @property {number|null} httpCode - HTTP code of the server's response, if the server responded.
+ * 
+ * @property {string|null} serverMessage - Error message from the server's response, if the server responded.
+ * 
+ * @property {boolean} critical - Whether the error stopped the upload process.
+ * 
+ * @property {string} message - Message describing the error.
+ * 
+ * @property {boolean} permanent - Whether uploading the file again would fail the same way, e.g.
+ * because the file is invalid or the server rejected it as a bad request.
+ * 
+ * @property {{}} optionalParams - Optional upload params of the run the error occurred in.
+ */
+
+/**
+ * @typedef {Object} previousFailures - Failures recorded by a previous run.
+ * 
+ * @property {errorEntry[]} failures
+ * 
+ * @property {{}} optionalParams - Optional upload params of the previous run.
+ */
+
+/**
+ * Class that writes upload errors to a file as plain text, JSON Lines or CSV. It's a log sink:
+ * the error options of an upload add one to the uploader's logger for error records.
+ */
+const ErrorLog = class {
+    /** @type {import('fs/promises').FileHandle} */
+    #fileHandle;
+    #format;
+    #lineSep;
+    #optionalParams;
+
+    /* chain of pending writes; entries are written in the order they are logged and the
+        file isn't closed until every write has finished */
+    #pendingWrite = Promise.resolve();
+
+    static FORMATS = FORMATS;
+
+    /**
+     * @param {import('fs/promises').FileHandle} fileHandle
+     * 
+     * @param {string} format
+     * 
+     * @param {string} lineSep
+     * 
+     * @param {{}} optionalParams
+     */
+    constructor(fileHandle, format, lineSep, optionalParams) {
+        this.#fileHandle = fileHandle;
+        this.#format = format;
+        this.#lineSep = lineSep;
+        this.#optionalParams = optionalParams;
+    }
+    /**
+     * Create an error log file.
+     * 
+     * @param {string} filename
+     * 
+     * @param {Object} options
+     * 
+     * @param {string} options.format - One of "text", "jsonl" or "csv".
+     * 
+     * @param {string} options.lineSep - Separator between entries of the text format; the jsonl and
+     * csv formats always separate entries with new lines.
+     * 
+     * @param {boolean} options.overwrite - Overwrite the file if it exists. If false, an error is
+     * thrown if the file already exists.
+     * 
+     * @param {boolean} options.append - Add to the end of the file if it exists, e.g. to keep the errors
+     * of several runs in one file. Takes precedence over overwrite.
+     * 
+     * @param {{}} options.optionalParams - Optional upload params of the run, recorded by the jsonl
+     * and csv formats so failed files can be retried with the same params.
+     * 
+     * @returns {Promise<ErrorLog>}
+     */
+    static async open(filename, {
+        format = FORMATS.TEXT,
+        lineSep = EOL,
+        overwrite = false,
+        append = false,
+        optionalParams = {}
+    } = {}) {
+        if (!Object.values(FORMATS).includes(format)) {
+            throw new TypeError(
+                `Unknown error log format "${format}"; expected one of: ${Object.values(FORMATS).join(', ')}.`
+            );
+        }
+        const fileHandle = await open(filename, append ? 'a' : overwrite ? 'w' : 'wx');
+        const errorLog = new ErrorLog(fileHandle, format, lineSep, optionalParams);
+
+        /* a file being appended to already has a header unless it's new */
+        if (format === FORMATS.CSV && (!append || (await fileHandle.stat()).size === 0)) {
+            errorLog.#write(formatRow(CSV_COLUMNS) + '\n');
+        }
+        return errorLog;
+    }
+    /**
+     * Read the failures recorded by a previous run from a jsonl or csv error log, or from a JSON
+     * run report with a "failed" array of error entries. Text error logs don't record enough
+     * about each failure to be read.
+     * 
+     * @param {string} filename
+     * 
+     * @returns {Promise<previousFailures>}
+     */
+    static async readFailures(filename) {
+        const contents = (await readFile(filename, 'utf-8')).trim();
+
+        /* a run report is a single JSON object */
+        if (contents.startsWith('{')) {
+            let report = null;
+            try {
+                report = JSON.parse(contents);
+            }
+            catch (_) {
+                /* not a single object, so it's a jsonl error log */
+            }
+            if (report !== null) {
+                if (!Array.isArray(report.failed)) {
+                    throw new Error(`"${filename}" is not a run report; it has no "failed" array.`);
+                }
+                return { failures: report.failed, optionalParams: report.failed[0]?.optionalParams ?? {} };
+            }
+            const failures = contents.split('\n')
+                .filter(line => line.trim() !== '')
+                .map(line => JSON.parse(line));
+            return { failures, optionalParams: failures[0]?.optionalParams ?? {} };
+        }
+
+        const [header = [], ...rows] = parseRows(contents);
+        if (header.join(',') !== CSV_COLUMNS.join(',')) {
+            throw new Error(
+                `"${filename}" is not a jsonl or csv error log or a run report; ` +
+                'text error logs can\'t be used to retry failed uploads.'
+            );
+        }
+        const failures = rows.map(row => {
+            const fields = Object.fromEntries(CSV_COLUMNS.map((column, i) => [column, row[i] ?? '']));
+            return {
+                ...fields,
+                httpCode: fields.httpCode === '' ? null : Number(fields.httpCode),
+                serverMessage: fields.serverMessage === '' ? null : fields.serverMessage,
+                critical: fields.critical === 'true',
+                permanent: fields.permanent === 'true',
+                optionalParams: fields.optionalParams === '' ? {} : JSON.parse(fields.optionalParams)
+            };
+        });
+        return { failures, optionalParams: failures[0]?.optionalParams ?? {} };
+    }
+    /**
+     * Check if an error is permanent, meaning uploading the file again would fail the same way.
+     * 
+     * @param {import('./errors').FileError} error
+     * 
+     * @returns {boolean}
+     */
+    static isPermanent(error) {
+        return error instanceof ValidationError ||
+            (error instanceof ServerResponseError && error.httpCode === BAD_REQUEST);
+    }
+    /**
+     * Get the structured record of an error.
+     * 
+     * @param {import('./errors').FileError} error
+     * 
+     * @param {boolean} critical
+     * 
+     * @param {{}} optionalParams - Optional upload params of the run.
+     * 
+     * @returns {errorEntry}
+     */
+    static toEntry(error, critical = false, optionalParams = {}) {
+        return {
+            timestamp: new Date().toISOString(),
+            pathname: error.pathname,
+            type: error.constructor.name,
+            httpCode: error.httpCode ?? null,
+            serverMessage: error.serverMessage ?? null,
+            critical,
+            message: error.message,
+            permanent: ErrorLog.isPermanent(error),
+            optionalParams
+        };
+    }
+    /**
+     * Log the error of a log record. Records without an error are ignored.
+     * 
+     * @param {Object} record
+     * 
+     * @param {import('./errors').FileError|undefined} record.error
+     * 
+     * @param {boolean} record.critical - Whether the error stopped the upload process.
+     * 
+     * @returns {Promise<void>}
+     */
+    async write({ error, critical = false }) {
+        if (!(error instanceof Error)) {
+            return;
+        }
+        switch (this.#format) {
+            case FORMATS.JSONL:
+                return this.#write(
+                    JSON.stringify(ErrorLog.toEntry(error, critical, this.#optionalParams)) + '\n'
+                );
+            case FORMATS.CSV: {
+                const entry = ErrorLog.toEntry(error, critical, this.#optionalParams);
+                entry.optionalParams = JSON.stringify(entry.optionalParams);
+                return this.#write(formatRow(CSV_COLUMNS.map(column => entry[column])) + '\n');
+            }
+            default:
+                return this.#write(
+                    (critical ?
+                        `Aborting upload process due to critical error: ${error.toString()}` :
+                        error.toString()) + this.#lineSep
+                );
+        }
+    }
+    /**
+     * Append text to the file once the previous writes have finished.
+     * 
+     * @param {string} text
+     * 
+     * @returns {Promise<void>}
+     */
+    async #write(text) {
+        const write = this.#pendingWrite.then(() => this.#fileHandle.appendFile(text, 'utf-8'));
+        this.#pendingWrite = write.catch(() => {});
+        return write;
+    }
+    /**
+     * Close the file once every pending write has finished.
+     * 
+     * @returns {Promise<void>}
+     */
+    async close() {
+        await this.#pendingWrite;
+        await this.#fileHandle.close();
+    }
+};
+
+module.exports = ErrorLog;
\ No newline at end of file
@@ -0,0 +1,22 @@
+/**
+ * Error class for missing or invalid uploader configuration.
+ */
+const ConfigError = class extends Error {
+    /**
+     * @param {string} message
+     * 
+     * @param {string|null} source - Where the invalid configuration came from, such as a
+     * config file's pathname or an environment variable's name.
+     */
+    constructor(message, source = null) {
+        super(message);
+        this.source = source;
+    }
+    toString() {
+        return this.source === null ?
+            `Invalid configuration: ${this.message}` :
+            `Invalid configuration in "${this.source}": ${this.message}`;
+    }
+};
+
+module.exports = ConfigError;
\ No newline at end of file
@@ -0,0 +1,23 @@
+const FileUploadError = require('./file_upload_error');
+
+/**
+ * Error class for an upload failure that made too many of a batch's uploads fail, stopping the batch.
+ */
+const FailureThresholdError = class extends FileUploadError {
+    /**
+     * @param {string} message - Describes the threshold that was exceeded.
+     * 
+     * @param {string} pathname
+     * 
+     * @param {FileUploadError} cause - The file's own error.
+     */
+    constructor(message, pathname, cause) {
+        super(message, pathname);
+        this.cause = cause;
+    }
+    toString() {
+        return `${super.toString()}; last error: ${this.cause.message}`;
+    }
+};
+
+module.exports = FailureThresholdError;
\ No newline at end of file
@@ -5,7 +5,8 @@ const FileError = class extends Error {
     /**
      * @param {string} message
      * 
-     * @param {string} pathname
+     * @param {string} pathname - Pathname of the file, or identifier of other content such as a
+     * Buffer, stream or URL.
      */
     constructor(message, pathname) {
         super(message);
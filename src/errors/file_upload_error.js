@@ -1,19 +1,22 @@
 const FileError = require('./file_error');
 
 /**
- * Error class for file upload failures.
+ * Error class for file upload failures, and failures of other requests to Cloudinary's APIs.
  */
 const FileUploadError = class extends FileError {
     /**
      * @param {string} message
      * 
-     * @param {string} pathname
+     * @param {string} pathname - Pathname of the file, or public ID of the asset a request concerned.
+     * 
+     * @param {string} operation - What failed, e.g. "upload" (the default), "rename" or "delete".
      */
-    constructor(message, pathname) {
+    constructor(message, pathname, operation = 'upload') {
         super(message, pathname);
+        this.operation = operation;
     }
     toString() {
-        return `Failed to upload "${this.pathname}": ${this.message}`;
+        return `Failed to ${this.operation} "${this.pathname}": ${this.message}`;
     }
 };
 
@@ -1,11 +1,19 @@
-const FileError = require('./file_error'),
+const ConfigError = require('./config_error'),
+    FailureThresholdError = require('./failure_threshold_error'),
+    FileError = require('./file_error'),
     FileOpenError = require('./file_open_error'),
     FileUploadError = require('./file_upload_error'),
-    ServerResponseError = require('./server_response_error');
+    ServerResponseError = require('./server_response_error'),
+    UploadStateError = require('./upload_state_error'),
+    ValidationError = require('./validation_error');
 
 module.exports = {
+    ConfigError,
+    FailureThresholdError,
     FileError,
     FileOpenError,
     FileUploadError,
-    ServerResponseError
+    ServerResponseError,
+    UploadStateError,
+    ValidationError
 };
\ No newline at end of file
@@ -10,10 +10,20 @@ const ServerResponseError = class extends FileUploadError {
      * @param {string} pathname
      * 
      * @param {number} httpCode
+     * 
+     * @param {string|null} serverMessage - Error message from the body of the server's response.
+     * 
+     * @param {string} operation - What failed; see FileUploadError.
      */
-    constructor(message, pathname, httpCode) {
-        super(message, pathname);
+    constructor(message, pathname, httpCode, serverMessage = null, operation = 'upload') {
+        super(message, pathname, operation);
         this.httpCode = httpCode;
+        this.serverMessage = serverMessage;
+    }
+    toString() {
+        return this.serverMessage === null ?
+            super.toString() :
+            `${super.toString()} (${this.serverMessage})`;
     }
 };
 
@@ -0,0 +1,26 @@
+const FileError = require('./file_error');
+
+/**
+ * Error class for failures to read or write the state file persisting the progress of chunked uploads.
+ */
+const UploadStateError = class extends FileError {
+    /**
+     * @param {string} message
+     * 
+     * @param {string} pathname - Pathname of the file whose progress couldn't be saved, or of the
+     * state file if it couldn't be read.
+     * 
+     * @param {string} stateFilename - Pathname of the state file.
+     */
+    constructor(message, pathname, stateFilename) {
+        super(message, pathname);
+        this.stateFilename = stateFilename;
+    }
+    toString() {
+        return this.pathname === this.stateFilename ?
+            `Failed to read the upload state file "${this.stateFilename}": ${this.message}` :
+            `Failed to save the upload state of "${this.pathname}" to "${this.stateFilename}": ${this.message}`;
+    }
+};
+
+module.exports = UploadStateError;
\ No newline at end of file
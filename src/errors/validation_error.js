@@ -0,0 +1,20 @@
+const FileError = require('./file_error');
+
+/**
+ * Error class for files that fail client-side validation.
+ */
+const ValidationError = class extends FileError {
+    /**
+     * @param {string} message
+     * 
+     * @param {string} pathname
+     */
+    constructor(message, pathname) {
+        super(message, pathname);
+    }
+    toString() {
+        return `Failed to upload "${this.pathname}": ${this.message}`;
+    }
+};
+
+module.exports = ValidationError;
\ No newline at end of file
@@ -0,0 +1,176 @@
+const {
+    FileOpenError,
+    ServerResponseError,
+    UploadStateError,
+    ValidationError
+} = require('./errors');
+
+const {
+    BAD_REQUEST,
+    NOT_FOUND,
+    CONFLICT
+} = require('http-status-codes').StatusCodes;
+
+/* HTTP codes of errors that only concern a single file, so the batch can carry on */
+const IGNORABLE_STATUS_CODES = [BAD_REQUEST, NOT_FOUND, CONFLICT];
+
+/* default options of the circuit breaker */
+const DEFAULT_CIRCUIT_BREAKER = Object.freeze({
+    probeInterval: 30000,
+    maxProbes: 10
+});
+
+/**
+ * @typedef {Object} circuitBreakerOptions
+ * 
+ * @property {number} probeInterval - Milliseconds between probes of the API while the circuit is open.
+ * 
+ * @property {number} maxProbes - Number of failed probes after which the batch is stopped.
+ */
+
+/**
+ * Class that decides which upload failures stop a batch: critical errors, which are unlikely to
+ * affect only one file (such as invalid credentials), and runs of failures that exceed a threshold.
+ * With a circuit breaker, the batch is paused instead of stopped, and resumed once the API responds.
+ */
+const FailurePolicy = class {
+    #classify;
+
+    /* consecutive failures, and failures and successes of the whole batch */
+    #consecutiveFailures = 0;
+    #failures = 0;
+    #successes = 0;
+
+    static IGNORABLE_STATUS_CODES = Object.freeze(IGNORABLE_STATUS_CODES);
+
+    static DEFAULT_CIRCUIT_BREAKER = DEFAULT_CIRCUIT_BREAKER;
+
+    /**
+     * @param {Object} options
+     * 
+     * @param {((error: import('./errors').FileError) => boolean|undefined)|null} options.isCritical - Decides
+     * whether an error is critical; return undefined to leave the decision to the other options.
+     * 
+     * @param {number[]} options.fatalStatusCodes - HTTP codes of errors that are always critical.
+     * 
+     * @param {number[]} options.ignorableStatusCodes - HTTP codes of errors that only fail their own file.
+     * Errors with other HTTP codes are critical. Defaults to 400, 404 and 409.
+     * 
+     * @param {boolean} options.fatalNetworkErrors - Consider errors without a response from the server,
+     * such as timeouts and disconnections that persisted through every retry, critical; defaults to true.
+     * 
+     * @param {number|null} options.maxConsecutiveFailures - Stop the batch once this many uploads in a
+     * row have failed.
+     * 
+     * @param {number|null} options.maxFailureRate - Stop the batch once more than this fraction (0 to 1)
+     * of its finished uploads have failed.
+     * 
+     * @param {number} options.minSampleSize - Number of uploads that must have finished before the
+     * failure rate is checked; defaults to 10.
+     * 
+     * @param {boolean|circuitBreakerOptions} options.circuitBreaker - Instead of stopping the batch,
+     * pause it and probe the API until it responds, then resume. The batch is stopped if every probe
+     * fails. The file that opened the circuit is recorded as failed either way, and isn't uploaded again.
+     * Provide an object to configure the probes.
+     */
+    constructor({
+        isCritical = null,
+        fatalStatusCodes = [],
+        ignorableStatusCodes = IGNORABLE_STATUS_CODES,
+        fatalNetworkErrors = true,
+        maxConsecutiveFailures = null,
+        maxFailureRate = null,
+        minSampleSize = 10,
+        circuitBreaker = false
+    } = {}) {
+        if (isCritical !== null && typeof isCritical !== 'function') {
+            throw new TypeError('The isCritical failure policy option must be a function.');
+        }
+        if (maxConsecutiveFailures !== null &&
+            (!Number.isInteger(maxConsecutiveFailures) || maxConsecutiveFailures < 1)) {
+            throw new TypeError(
+                `The maximum number of consecutive failures must be a positive integer; got "${maxConsecutiveFailures}".`
+            );
+        }
+        if (maxFailureRate !== null && !(maxFailureRate >= 0 && maxFailureRate <= 1)) {
+            throw new TypeError(`The maximum failure rate must be between 0 and 1; got "${maxFailureRate}".`);
+        }
+        this.#classify = isCritical;
+        this.fatalStatusCodes = fatalStatusCodes;
+        this.ignorableStatusCodes = ignorableStatusCodes;
+        this.fatalNetworkErrors = fatalNetworkErrors;
+        this.maxConsecutiveFailures = maxConsecutiveFailures;
+        this.maxFailureRate = maxFailureRate;
+        this.minSampleSize = minSampleSize;
+        this.circuitBreaker = circuitBreaker ?
+            { ...DEFAULT_CIRCUIT_BREAKER, ...(typeof circuitBreaker === 'object' ? circuitBreaker : {}) } :
+            null;
+    }
+    /**
+     * Evaluates if an error is critical in severity and should stop the batch.
+     * 
+     * @param {import('./errors').FileError} error
+     * 
+     * @returns {boolean}
+     */
+    isCritical(error) {
+        const verdict = this.#classify?.(error);
+        if (typeof verdict === 'boolean') {
+            return verdict;
+        }
+        /* a single file couldn't be opened, its progress saved, or it's invalid, e.g. empty
+            (non-critical error) */
+        if (error instanceof FileOpenError || error instanceof UploadStateError || error instanceof ValidationError) {
+            return false;
+        }
+        /* the server responded with an error (might be critical) */
+        if (error instanceof ServerResponseError) {
+            return this.fatalStatusCodes.includes(error.httpCode) ||
+                !this.ignorableStatusCodes.includes(error.httpCode);
+        }
+        /* the error is unrecognized, but could be a timeout or disconnection that persisted
+            through every retry */
+        return this.fatalNetworkErrors;
+    }
+    /**
+     * Record an upload that succeeded.
+     */
+    recordSuccess() {
+        this.#consecutiveFailures = 0;
+        ++this.#successes;
+    }
+    /**
+     * Record an upload that failed without a critical error, and check the thresholds. Returns
+     * a message describing the threshold that was exceeded, or null if none was.
+     * 
+     * @returns {string|null}
+     */
+    recordFailure() {
+        ++this.#consecutiveFailures;
+        ++this.#failures;
+
+        if (this.maxConsecutiveFailures !== null && this.#consecutiveFailures >= this.maxConsecutiveFailures) {
+            return `${this.#consecutiveFailures} uploads in a row failed`;
+        }
+
+        const finished = this.#failures + this.#successes;
+        if (this.maxFailureRate !== null &&
+            finished >= this.minSampleSize &&
+            this.#failures / finished > this.maxFailureRate) {
+
+            return `${this.#failures} of ${finished} uploads failed, more than ${+(this.maxFailureRate * 100).toFixed(2)}%`;
+        }
+        return null;
+    }
+    /**
+     * Forget the failures recorded so far, e.g. once the API responds again after a circuit
+     * breaker paused the batch.
+     */
+    reset() {
+        this.#consecutiveFailures = 0;
+        this.#failures = 0;
+        this.#successes = 0;
+    }
+};
+
+module.exports = FailurePolicy;
\ No newline at end of file
@@ -0,0 +1,212 @@
+const { readFile } = require('fs/promises');
+
+const YAML = require('yaml');
+
+const { parseRows } = require('./csv');
+
+const { ConfigError } = require('./errors');
+
+/* extensions of sidecar files, which are named after the file they describe, e.g. photo.jpg.json */
+const SIDECAR_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/* column of a metadata CSV file holding the filename each row describes */
+const FILENAME_COLUMN = 'filename';
+
+/**
+ * Escape the characters that separate key-value pairs in Cloudinary context and metadata values.
+ * 
+ * @param {any} value
+ * 
+ * @returns {string}
+ */
+const escapeValue = value => String(value).replace(/([=|\\])/g, '\\$1');
+
+/**
+ * Format an object as Cloudinary key-value pairs, e.g. "alt=A red bike|caption=Sale".
+ * 
+ * @param {{}} pairs
+ * 
+ * @param {(value: any[]) => string} formatArray - Formats array values.
+ * 
+ * @returns {string}
+ */
+const formatPairs = (pairs, formatArray) => Object.entries(pairs)
+    .map(([key, value]) => `${key}=${escapeValue(Array.isArray(value) ? formatArray(value) : value)}`)
+    .join('|');
+
+/**
+ * Convert metadata fields to Cloudinary upload params. Tags may be an array, eager transformations
+ * an array of transformation strings, and context and structured metadata objects; alt text is added
+ * to the context. Empty fields are left out.
+ * 
+ * @param {{}} fields
+ * 
+ * @returns {{}}
+ */
+const toUploadParams = fields => {
+    const params = {};
+    const context = [];
+    for (const [key, value] of Object.entries(fields)) {
+        if (value === null || value === undefined || value === '') {
+            continue;
+        }
+        switch (key) {
+            case 'alt':
+                context.push(`alt=${escapeValue(value)}`);
+                break;
+            case 'context':
+                context.push(typeof value === 'object' ? formatPairs(value, v => v.join(',')) : String(value));
+                break;
+            case 'metadata':
+                /* multiple-value metadata fields are given as JSON arrays */
+                params.metadata = typeof value === 'object' ? formatPairs(value, JSON.stringify) : String(value);
+                break;
+            case 'tags':
+                params.tags = [value].flat().join(',');
+                break;
+            case 'eager':
+                params.eager = [value].flat().join('|');
+                break;
+            default:
+                params[key] = Array.isArray(value) ? value.join(',') :
+                    typeof value === 'object' ? JSON.stringify(value) : value;
+        }
+    }
+    if (context.length > 0) {
+        params.context = context.join('|');
+    }
+    return params;
+};
+
+/**
+ * Class that reads upload params of specific files, such as tags, context, alt text and eager
+ * transformations, from sidecar files (photo.jpg.json, photo.jpg.yaml or photo.jpg.yml) and from
+ * a CSV file with a row per file.
+ */
+const FileMetadata = class {
+    #imgDir;
+    #sidecars;
+
+    /** @type {Map<string, {}>} */
+    #rows;
+
+    static SIDECAR_EXTENSIONS = Object.freeze(SIDECAR_EXTENSIONS);
+
+    static toUploadParams = toUploadParams;
+
+    /**
+     * @param {string} imgDir - Directory of the images, which contains their sidecar files.
+     * 
+     * @param {Object} options
+     * 
+     * @param {boolean} options.sidecars - Read sidecar files.
+     * 
+     * @param {Map<string, {}>} options.rows - Metadata fields of specific files, keyed by filename
+     * relative to the image directory.
+     */
+    constructor(imgDir, { sidecars = false, rows = new Map() } = {}) {
+        this.#imgDir = imgDir;
+        this.#sidecars = sidecars;
+        this.#rows = rows;
+    }
+    /**
+     * Create a reader of file metadata, reading the metadata CSV file if one is provided. The CSV
+     * file's first row names its columns: a "filename" column with the pathname of each file relative
+     * to the image directory, and a column per upload param, e.g. tags, context, alt or eager.
+     * 
+     * @param {string} imgDir
+     * 
+     * @param {Object} options
+     * 
+     * @param {boolean} options.sidecars - Read sidecar files.
+     * 
+     * @param {string|null} options.metadataFilename - Metadata CSV file to read.
+     * 
+     * @returns {Promise<FileMetadata>}
+     */
+    static async load(imgDir, { sidecars = false, metadataFilename = null } = {}) {
+        const rows = new Map();
+        if (metadataFilename !== null) {
+            const [header = [], ...records] = parseRows(await readFile(metadataFilename, 'utf-8'));
+            const columns = header.map(column => column.trim());
+            if (!columns.includes(FILENAME_COLUMN)) {
+                throw new ConfigError(`the metadata file has no "${FILENAME_COLUMN}" column.`, metadataFilename);
+            }
+            for (const record of records) {
+                const fields = Object.fromEntries(columns.map((column, i) => [column, record[i] ?? '']));
+                const { [FILENAME_COLUMN]: filename, ...params } = fields;
+                rows.set(filename.replace(/\\/g, '/').replace(/^\.\//, ''), params);
+            }
+        }
+        return new FileMetadata(imgDir, { sidecars, rows });
+    }
+    /**
+     * Get the file a sidecar file describes. Returns null if the file isn't a sidecar, or if sidecars
+     * aren't read.
+     * 
+     * @param {string} filename - Pathname of the file relative to the image directory.
+     * 
+     * @param {Set<string>} filenames - Every file in the upload, relative to the image directory.
+     * 
+     * @returns {string|null}
+     */
+    getSidecarOf(filename, filenames) {
+        if (!this.#sidecars) {
+            return null;
+        }
+        const ext = SIDECAR_EXTENSIONS.find(e => filename.toLowerCase().endsWith(e));
+        const described = ext === undefined ? null : filename.substring(0, filename.length - ext.length);
+        return described !== null && filenames.has(described) ? described : null;
+    }
+    /**
+     * Get the upload params of a file from its row of the metadata CSV file and its sidecar file,
+     * whose fields take precedence.
+     * 
+     * @param {string} filename - Pathname of the file relative to the image directory.
+     * 
+     * @returns {Promise<{}>}
+     */
+    async get(filename) {
+        return toUploadParams({
+            ...this.#rows.get(filename),
+            ...(this.#sidecars ? await this.#readSidecar(filename) : {})
+        });
+    }
+    /**
+     * Read the fields of a file's sidecar file. Returns an empty object if it has none.
+     * 
+     * @param {string} filename
+     * 
+     * @returns {Promise<{}>}
+     */
+    async #readSidecar(filename) {
+        for (const ext of SIDECAR_EXTENSIONS) {
+            const pathname = this.#imgDir + filename + ext;
+            const contents = await readFile(pathname, 'utf-8')
+                .catch(error => {
+                    if (error.code === 'ENOENT') {
+                        return null;
+                    }
+                    throw error;
+                });
+            if (contents === null) {
+                continue;
+            }
+
+            let fields = null;
+            try {
+                fields = ext === '.json' ? JSON.parse(contents) : YAML.parse(contents);
+            }
+            catch (error) {
+                throw new Error(`sidecar "${pathname}" can't be parsed: ${error.message}`);
+            }
+            if (typeof fields !== 'object' || fields === null || Array.isArray(fields)) {
+                throw new Error(`sidecar "${pathname}" must contain an object of upload params`);
+            }
+            return fields;
+        }
+        return {};
+    }
+};
+
+module.exports = FileMetadata;
\ No newline at end of file
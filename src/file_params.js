@@ -0,0 +1,40 @@
+/**
+ * Get the Cloudinary upload params of a file: the shared optional params plus the file's
+ * public ID and folder. A file in a subdirectory is uploaded to the matching subfolder of
+ * the Cloudinary folder.
+ * 
+ * @param {string} filename - Pathname of the file relative to the image directory.
+ * 
+ * @param {{}} optionalParams - Optional Cloudinary API upload options shared by every file.
+ * 
+ * @param {Object} options
+ * 
+ * @param {string|null} options.publicId - Public ID of the file; defaults to the filename
+ * without the directory or extension.
+ * 
+ * @param {boolean} options.mirrorFolder - Upload a file in a subdirectory to the matching
+ * subfolder; false if the public ID already includes the subdirectory.
+ * 
+ * @returns {{}}
+ */
+const getFileParams = (filename, optionalParams = {}, { publicId = null, mirrorFolder = true } = {}) => {
+
+    /* mirror the file's subdirectory, if any, under the Cloudinary folder */
+    const dirPos = filename.lastIndexOf('/');
+    const folder = [optionalParams.folder, mirrorFolder ? filename.substring(0, dirPos) : null]
+        .filter(val => typeof val === 'string' && val.length > 0)
+        .join('/');
+
+    /* the public name is the filename without the directory or extension, if it has one */
+    const basename = filename.substring(dirPos + 1);
+    const extPos = basename.lastIndexOf('.');
+    const publicName = publicId ?? (extPos === -1 ? basename : basename.substring(0, extPos));
+
+    const fileParams = { ...optionalParams, public_id: publicName };
+    if (folder.length > 0) {
+        fileParams.folder = folder;
+    }
+    return fileParams;
+};
+
+module.exports = getFileParams;
\ No newline at end of file
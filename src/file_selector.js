@@ -0,0 +1,114 @@
+const { readFile } = require('fs/promises');
+
+const { minimatch } = require('minimatch');
+
+const ignore = require('ignore');
+
+/* default name of the gitignore-style file read from the image directory */
+const DEFAULT_IGNORE_FILENAME = '.cloudinaryignore';
+
+/* glob options; dot files are matched like any other file, as they are in .gitignore files */
+const GLOB_OPTIONS = { dot: true };
+
+/**
+ * Class that selects which files to upload using include/exclude glob patterns and an
+ * optional gitignore-style ignore file.
+ */
+const FileSelector = class {
+    #include;
+    #exclude;
+    #ignoreFilename;
+    /** @type {import('ignore').Ignore|null} */
+    #ignoreRules;
+
+    static DEFAULT_IGNORE_FILENAME = DEFAULT_IGNORE_FILENAME;
+
+    /**
+     * @param {Object} options
+     * 
+     * @param {string[]} options.include - Glob patterns a file must match at least one of to be
+     * selected. Patterns that begin with "!" are treated as exclude patterns. Provide an empty
+     * array to select every file.
+     * 
+     * @param {string[]} options.exclude - Glob patterns of files to leave out.
+     * 
+     * @param {string|null} options.ignoreFilename - Name of the ignore file the rules were read from.
+     * 
+     * @param {string|null} options.ignoreRules - Contents of the ignore file, if one exists.
+     */
+    constructor({
+        include = [],
+        exclude = [],
+        ignoreFilename = null,
+        ignoreRules = null
+    } = {}) {
+        this.#include = include.filter(p => !p.startsWith('!'));
+        this.#exclude = [
+            ...exclude,
+            ...include.filter(p => p.startsWith('!')).map(p => p.substring(1))
+        ];
+        this.#ignoreFilename = ignoreFilename;
+        this.#ignoreRules = typeof ignoreRules === 'string' ? ignore().add(ignoreRules) : null;
+    }
+    /**
+     * Create a selector, reading the ignore rules from the image directory if the ignore file exists.
+     * 
+     * @param {string} imgDir - Directory containing the ignore file.
+     * 
+     * @param {Object} options
+     * 
+     * @param {string[]} options.include
+     * 
+     * @param {string[]} options.exclude
+     * 
+     * @param {string|null} options.ignoreFilename - Name of the ignore file; provide null to
+     * not read one.
+     * 
+     * @returns {Promise<FileSelector>}
+     */
+    static async create(imgDir, {
+        include = [],
+        exclude = [],
+        ignoreFilename = DEFAULT_IGNORE_FILENAME
+    } = {}) {
+        const ignoreRules = typeof ignoreFilename === 'string' ?
+            await readFile(imgDir + ignoreFilename, 'utf-8')
+                .catch(error => {
+                    if (error.code === 'ENOENT') {
+                        return null;
+                    }
+                    throw error;
+                }) :
+            null;
+
+        return new FileSelector({ include, exclude, ignoreFilename, ignoreRules });
+    }
+    /**
+     * Get the reason a file isn't selected for upload. Returns null if the file is selected.
+     * 
+     * @param {string} filename - Pathname of the file relative to the image directory.
+     * 
+     * @returns {string|null}
+     */
+    getSkipReason(filename) {
+        /* never upload the ignore file itself */
+        if (filename === this.#ignoreFilename) {
+            return 'file is the ignore file';
+        }
+        if (this.#include.length > 0 &&
+            !this.#include.some(p => minimatch(filename, p, GLOB_OPTIONS))) {
+            return 'file does not match any include pattern';
+        }
+        const excludedBy = this.#exclude.find(p => minimatch(filename, p, GLOB_OPTIONS));
+        if (excludedBy !== undefined) {
+            return `file matches exclude pattern "${excludedBy}"`;
+        }
+        /* the ignore package only accepts relative pathnames */
+        if (this.#ignoreRules?.ignores(filename.replace(/^(\.?\/)+/, ''))) {
+            return `file is ignored by ${this.#ignoreFilename}`;
+        }
+        return null;
+    }
+};
+
+module.exports = FileSelector;
\ No newline at end of file
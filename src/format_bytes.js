@@ -0,0 +1,18 @@
+/**
+ * Format a number of bytes for display, e.g. 1.5 MB.
+ * 
+ * @param {number} bytes
+ * 
+ * @returns {string}
+ */
+const formatBytes = bytes => {
+    const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+    let unit = 0;
+    while (bytes >= 1000 && unit < units.length - 1) {
+        bytes /= 1000;
+        ++unit;
+    }
+    return `${unit === 0 ? bytes : bytes.toFixed(1)} ${units[unit]}`;
+};
+
+module.exports = formatBytes;
\ No newline at end of file
@@ -0,0 +1,314 @@
+const { open } = require('fs/promises');
+
+const ByteReader = require('./byte_reader');
+
+/* number of bytes read from a TIFF file's first IFD (its entry count, then 12 bytes per entry) */
+const TIFF_IFD_LENGTH = 2 + 12 * 256;
+
+/* TIFF tags and field types */
+const TIFF_IMAGE_WIDTH = 256;
+const TIFF_IMAGE_HEIGHT = 257;
+const TIFF_SHORT = 3;
+const TIFF_LONG = 4;
+
+/* SVG lengths that can be converted to pixels; relative units such as % and em can't be */
+const SVG_UNITS = { '': 1, px: 1, in: 96, cm: 96 / 2.54, mm: 96 / 25.4, pt: 4 / 3, pc: 16 };
+
+/**
+ * @typedef {Object} dimensions
+ * 
+ * @property {number} width - Width in pixels.
+ * 
+ * @property {number} height - Height in pixels.
+ */
+
+/**
+ * Get the dimensions of a PNG image from its IHDR chunk.
+ * 
+ * @param {Buffer} header
+ * 
+ * @returns {dimensions|null}
+ */
+const pngDimensions = header => header.length >= 24 && header.toString('latin1', 12, 16) === 'IHDR' ?
+    { width: header.readUInt32BE(16), height: header.readUInt32BE(20) } :
+    null;
+
+/**
+ * Get the dimensions of a GIF image from its logical screen descriptor.
+ * 
+ * @param {Buffer} header
+ * 
+ * @returns {dimensions|null}
+ */
+const gifDimensions = header => header.length >= 10 ?
+    { width: header.readUInt16LE(6), height: header.readUInt16LE(8) } :
+    null;
+
+/**
+ * Get the dimensions of a BMP image from its DIB header. Bottom-up images have a negative height.
+ * 
+ * @param {Buffer} header
+ * 
+ * @returns {dimensions|null}
+ */
+const bmpDimensions = header => {
+    if (header.length < 26) {
+        return null;
+    }
+    /* OS/2 bitmaps have a 12-byte header with 16-bit dimensions */
+    return header.readUInt32LE(14) === 12 ?
+        { width: header.readUInt16LE(18), height: header.readUInt16LE(20) } :
+        { width: Math.abs(header.readInt32LE(18)), height: Math.abs(header.readInt32LE(22)) };
+};
+
+/**
+ * Get the dimensions of the largest image in an ICO file. A size of 0 means 256 pixels.
+ * 
+ * @param {Buffer} header
+ * 
+ * @returns {dimensions|null}
+ */
+const icoDimensions = header => {
+    if (header.length < 6) {
+        return null;
+    }
+    let largest = null;
+    for (let i = 0, offset = 6; i < header.readUInt16LE(4) && offset + 16 <= header.length; ++i, offset += 16) {
+        const width = header[offset] || 256;
+        const height = header[offset + 1] || 256;
+        if (largest === null || width * height > largest.width * largest.height) {
+            largest = { width, height };
+        }
+    }
+    return largest;
+};
+
+/**
+ * Get the dimensions of a PSD image from its file header.
+ * 
+ * @param {Buffer} header
+ * 
+ * @returns {dimensions|null}
+ */
+const psdDimensions = header => header.length >= 22 ?
+    { width: header.readUInt32BE(18), height: header.readUInt32BE(14) } :
+    null;
+
+/**
+ * Get the dimensions of a WebP image from its first chunk, which is VP8 (lossy), VP8L
+ * (lossless) or VP8X (extended).
+ * 
+ * @param {Buffer} header
+ * 
+ * @returns {dimensions|null}
+ */
+const webpDimensions = header => {
+    if (header.length < 30) {
+        return null;
+    }
+    switch (header.toString('latin1', 12, 16)) {
+        case 'VP8 ':
+            return { width: header.readUInt16LE(26) & 0x3fff, height: header.readUInt16LE(28) & 0x3fff };
+        case 'VP8L': {
+            const bits = header.readUInt32LE(21);
+            return { width: (bits & 0x3fff) + 1, height: ((bits >>> 14) & 0x3fff) + 1 };
+        }
+        case 'VP8X':
+            return { width: header.readUIntLE(24, 3) + 1, height: header.readUIntLE(27, 3) + 1 };
+        default:
+            return null;
+    }
+};
+
+/**
+ * Get the dimensions of an AVIF or HEIC image from its image spatial extents ("ispe")
+ * properties. Images split into tiles have a property per tile as well as one for the whole
+ * image, so the largest is used.
+ * 
+ * @param {Buffer} header
+ * 
+ * @returns {dimensions|null}
+ */
+const heifDimensions = header => {
+    let largest = null;
+    for (let pos = header.indexOf('ispe'); pos !== -1 && pos + 16 <= header.length; pos = header.indexOf('ispe', pos + 4)) {
+        /* the box type is followed by its version and flags, then the width and height */
+        const width = header.readUInt32BE(pos + 8);
+        const height = header.readUInt32BE(pos + 12);
+        if (largest === null || width * height > largest.width * largest.height) {
+            largest = { width, height };
+        }
+    }
+    return largest;
+};
+
+/**
+ * Convert an SVG length to pixels. Returns null if the length is relative or invalid.
+ * 
+ * @param {string|undefined} length
+ * 
+ * @returns {number|null}
+ */
+const svgLength = length => {
+    const match = /^\s*([\d.]+(?:e[+-]?\d+)?)\s*([a-z]*)\s*$/i.exec(length ?? '');
+    const scale = SVG_UNITS[match?.[2].toLowerCase()];
+    return match === null || scale === undefined ? null : Number(match[1]) * scale;
+};
+
+/**
+ * Get the dimensions of an SVG image from its root element's width and height attributes,
+ * falling back to its viewBox.
+ * 
+ * @param {Buffer} header
+ * 
+ * @returns {dimensions|null}
+ */
+const svgDimensions = header => {
+    const root = /<svg\b[^>]*>/.exec(header.toString('utf-8'))?.[0];
+    if (root === undefined) {
+        return null;
+    }
+    const attribute = name => new RegExp(`\\s${name}\\s*=\\s*(["'])(.*?)\\1`).exec(root)?.[2];
+
+    const viewBox = attribute('viewBox')?.trim().split(/[\s,]+/).map(Number) ?? [];
+    const width = svgLength(attribute('width')) ?? (viewBox.length === 4 ? viewBox[2] : null);
+    const height = svgLength(attribute('height')) ?? (viewBox.length === 4 ? viewBox[3] : null);
+
+    return Number.isFinite(width) && Number.isFinite(height) ? { width, height } : null;
+};
+
+/**
+ * Get the dimensions of a JPEG image from its start of frame segment, which may come after
+ * large metadata segments such as EXIF thumbnails.
+ * 
+ * @param {string} filename
+ * 
+ * @returns {Promise<dimensions|null>}
+ */
+const jpegDimensions = async filename => {
+    const reader = new ByteReader(filename);
+    try {
+        /* skip the SOI marker */
+        if (!await reader.skip(2)) {
+            return null;
+        }
+        for (; ;) {
+            const segment = await reader.read(4);
+            if (segment === null || segment[0] !== 0xff) {
+                return null;
+            }
+            const marker = segment[1];
+            /* SOF markers, except for DHT (C4), JPG (C8) and DAC (CC) */
+            if (marker >= 0xc0 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+                const frame = await reader.read(5);
+                return frame === null ? null : { width: frame.readUInt16BE(3), height: frame.readUInt16BE(1) };
+            }
+            /* the image data comes after the SOF segment, so it has no dimensions if reached first */
+            if (marker === 0xda || marker === 0xd9 || !await reader.skip(segment.readUInt16BE(2) - 2)) {
+                return null;
+            }
+        }
+    }
+    finally {
+        await reader.close();
+    }
+};
+
+/**
+ * Get the dimensions of a TIFF image from its first IFD, which can be anywhere in the file.
+ * 
+ * @param {string} filename
+ * 
+ * @param {Buffer} header
+ * 
+ * @returns {Promise<dimensions|null>}
+ */
+const tiffDimensions = async (filename, header) => {
+    /* BigTIFF files (version 43) use 64-bit offsets and aren't supported */
+    if (header.length < 8 || header.readUInt16LE(2) === 43 || header.readUInt16BE(2) === 43) {
+        return null;
+    }
+    const littleEndian = header.toString('latin1', 0, 2) === 'II';
+    const uint16 = (buffer, offset) => littleEndian ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset);
+    const uint32 = (buffer, offset) => littleEndian ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset);
+
+    const fileHandle = await open(filename);
+    try {
+        const { buffer, bytesRead } = await fileHandle.read({
+            buffer: Buffer.alloc(TIFF_IFD_LENGTH),
+            position: uint32(header, 4)
+        });
+        if (bytesRead < 2) {
+            return null;
+        }
+        const dimensions = {};
+        for (let i = 0, offset = 2; i < uint16(buffer, 0) && offset + 12 <= bytesRead; ++i, offset += 12) {
+            const tag = uint16(buffer, offset);
+            const type = uint16(buffer, offset + 2);
+            if ((tag === TIFF_IMAGE_WIDTH || tag === TIFF_IMAGE_HEIGHT) && (type === TIFF_SHORT || type === TIFF_LONG)) {
+                dimensions[tag === TIFF_IMAGE_WIDTH ? 'width' : 'height'] = type === TIFF_SHORT ?
+                    uint16(buffer, offset + 8) :
+                    uint32(buffer, offset + 8);
+            }
+        }
+        return dimensions.width === undefined || dimensions.height === undefined ? null : dimensions;
+    }
+    finally {
+        await fileHandle.close();
+    }
+};
+
+/* dimension parsers of each supported format, keyed by file extension */
+const dimensionParsers = new Map(
+    [
+        ['png', pngDimensions],
+        ['gif', gifDimensions],
+        ['bmp', bmpDimensions],
+        ['ico', icoDimensions],
+        ['psd', psdDimensions],
+        ['webp', webpDimensions],
+        ['avif', heifDimensions],
+        ['heic', heifDimensions],
+        ['svg', svgDimensions],
+        ['jpg', (header, filename) => jpegDimensions(filename)],
+        ['tif', (header, filename) => tiffDimensions(filename, header)]
+    ]
+);
+
+/* set format type aliases */
+dimensionParsers.set('dib', dimensionParsers.get('bmp'));
+dimensionParsers.set('heif', dimensionParsers.get('heic'));
+dimensionParsers.set('jpeg', dimensionParsers.get('jpg'));
+dimensionParsers.set('jpe', dimensionParsers.get('jpg'));
+dimensionParsers.set('tiff', dimensionParsers.get('tif'));
+
+/**
+ * Check if the dimensions of a type of file can be read.
+ * 
+ * @param {string} type - Lowercase file extension.
+ * 
+ * @returns {boolean}
+ */
+const hasDimensions = type => dimensionParsers.has(type);
+
+/**
+ * Get the dimensions of an image from its header. Returns null if they can't be read.
+ * 
+ * @param {string} filename
+ * 
+ * @param {string} type - Lowercase file extension.
+ * 
+ * @param {Buffer} header - Start of the file, as read for validation.
+ * 
+ * @returns {Promise<dimensions|null>}
+ */
+const readDimensions = async (filename, type, header) => {
+    const dimensions = await dimensionParsers.get(type)?.(header, filename) ?? null;
+    /* a width or height of 0 means the header is damaged */
+    return dimensions !== null && dimensions.width > 0 && dimensions.height > 0 ? dimensions : null;
+};
+
+module.exports = {
+    hasDimensions,
+    readDimensions
+};
\ No newline at end of file
@@ -1,28 +1,138 @@
 const { createReadStream } = require('fs');
 
-const { FileOpenError } = require('./errors');
+const { stat } = require('fs/promises');
 
-/* common image format magic numbers */
+const { FileError, FileOpenError } = require('./errors');
+
+const { findCorruption } = require('./deep_validation');
+
+const { hasDimensions, readDimensions } = require('./image_dimensions');
+
+const formatBytes = require('./format_bytes');
+
+/* number of bytes read from the start of a file to identify its format */
+const HEADER_LENGTH = 4096;
+
+/**
+ * Create a check for bytes at an offset of a file header.
+ * 
+ * @param {number} offset
+ * 
+ * @param {string} hex - Expected bytes, as lowercase hex digits.
+ * 
+ * @returns {(header: Buffer) => boolean}
+ */
+const bytesAt = (offset, hex) => header =>
+	header.subarray(offset, offset + (hex.length >>> 1)).toString('hex') === hex;
+
+/**
+ * Create a check for a magic number at the start of a file header.
+ * 
+ * @param {string} hex
+ * 
+ * @returns {(header: Buffer) => boolean}
+ */
+const magicNum = hex => bytesAt(0, hex);
+
+/**
+ * Combine checks that must all pass.
+ * 
+ * @param {...(header: Buffer) => boolean} checks
+ * 
+ * @returns {(header: Buffer) => boolean}
+ */
+const allOf = (...checks) => header => checks.every(check => check(header));
+
+/**
+ * Create a check for an ISO base media file (MP4, MOV, AVIF, HEIC, etc.), which begins with an
+ * "ftyp" box listing the file's major brand followed by its minor version and compatible brands.
+ * 
+ * @param {...string} brands - Brands, at least one of which the file must list. Provide none to
+ * accept any brand.
+ * 
+ * @returns {(header: Buffer) => boolean}
+ */
+const ftypBrand = (...brands) => header => {
+	if (header.length < 12 || header.toString('latin1', 4, 8) !== 'ftyp') {
+		return false;
+	}
+	if (brands.length === 0) {
+		return true;
+	}
+	const boxEnd = Math.min(header.readUInt32BE(0), header.length);
+	const fileBrands = [header.toString('latin1', 8, 12)];
+	for (let offset = 16; offset + 4 <= boxEnd; offset += 4) {
+		fileBrands.push(header.toString('latin1', offset, offset + 4));
+	}
+	return fileBrands.some(brand => brands.includes(brand));
+};
+
+/* XML declaration, processing instructions, comments, doctype and whitespace that may come
+	before the root element of an XML document */
+const xmlProlog = /^(?:\s+|<\?[\s\S]*?\?>|<!--[\s\S]*?-->|<!DOCTYPE[^[>]*(?:\[[\s\S]*?\])?\s*>)*/i;
+
+/**
+ * Check if a file header is the start of an SVG document, i.e. an XML document whose root
+ * element is an svg element.
+ * 
+ * @param {Buffer} header
+ * 
+ * @returns {boolean}
+ */
+const isSvg = header => {
+	const text = header.toString('utf-8').replace(/^\ufeff/, '');
+	return /^<svg[\s>/]/.test(text.substring(text.match(xmlProlog)[0].length));
+};
+
+/* magic numbers and other signatures of common image, document and video formats; a file
+	is valid if it passes any of the checks for its extension */
 const magicNumTable = new Map(
 	[
-		['bmp', ['424d']],
-		['png', ['89504e47']],
-		['gif', ['474946383761', '474946383961']],
-		['jpg', ['ffd8ff']],
+		['bmp', [magicNum('424d')]],
+		['png', [magicNum('89504e47')]],
+		['gif', [magicNum('474946383761'), magicNum('474946383961')]],
+		['jpg', [magicNum('ffd8ff')]],
 		['tif', [
-			'49492a00',
-			'4d4d002a',
-			'4d4d002b'
+			magicNum('49492a00'),
+			magicNum('4d4d002a'),
+			magicNum('4d4d002b')
 		]],
-		['ico', ['00000100']]
+		['ico', [magicNum('00000100')]],
+
+		/* "RIFF", the file size, then "WEBP" */
+		['webp', [allOf(magicNum('52494646'), bytesAt(8, '57454250'))]],
+		['avif', [ftypBrand('avif', 'avis')]],
+		['heic', [ftypBrand('heic', 'heix', 'hevc', 'hevx', 'heim', 'heis', 'mif1', 'msf1')]],
+		['svg', [isSvg]],
+		['pdf', [magicNum('255044462d')]],
+		['psd', [magicNum('38425053')]],
+
+		/* any brand of ISO base media file */
+		['mp4', [ftypBrand()]],
+
+		/* older QuickTime files have no "ftyp" box and begin with another type of box */
+		['mov', [
+			ftypBrand(),
+			...['moov', 'mdat', 'wide', 'free', 'skip', 'pnot']
+				.map(box => bytesAt(4, Buffer.from(box, 'latin1').toString('hex')))
+		]],
+
+		/* EBML header */
+		['webm', [magicNum('1a45dfa3')]],
+
+		/* "RIFF", the file size, then "AVI " */
+		['avi', [allOf(magicNum('52494646'), bytesAt(8, '41564920'))]]
 	]
 );
 
-/* set image format type aliases */
+/* set format type aliases */
 magicNumTable.set('dib', magicNumTable.get('bmp'));
 magicNumTable.set('jpeg', magicNumTable.get('jpg'));
 magicNumTable.set('jpe', magicNumTable.get('jpg'));
 magicNumTable.set('tiff', magicNumTable.get('tif'));
+magicNumTable.set('heif', magicNumTable.get('heic'));
+magicNumTable.set('m4v', magicNumTable.get('mp4'));
+magicNumTable.set('mkv', magicNumTable.get('webm'));
 
 /**
  * Get a filename's extension. Returns null if no extension is found.
@@ -39,16 +149,68 @@ const getFileExtension = (filename) => {
 	return filename.substring(extPos + 1) || null;
 };
 
+/**
+ * Get an aspect ratio as a number. Returns null if the aspect ratio is invalid.
+ * 
+ * @param {number|string} aspectRatio - Width divided by height, or a string like "16:9".
+ * 
+ * @returns {number|null}
+ */
+const parseAspectRatio = (aspectRatio) => {
+	const ratio = typeof aspectRatio === 'string' ?
+		aspectRatio.split(':').map(Number).reduce((width, height) => width / height) :
+		aspectRatio;
+	return typeof ratio === 'number' && Number.isFinite(ratio) && ratio > 0 ? ratio : null;
+};
+
+/**
+ * @typedef {Object} constraints - Limits a file must be within to be valid. Dimension limits
+ * only apply to formats whose dimensions can be read from their headers: BMP, PNG, GIF, JPEG,
+ * TIFF, ICO, WebP, AVIF, HEIC, SVG and PSD.
+ * 
+ * @property {number} [minWidth] - Minimum width in pixels.
+ * 
+ * @property {number} [maxWidth] - Maximum width in pixels.
+ * 
+ * @property {number} [minHeight] - Minimum height in pixels.
+ * 
+ * @property {number} [maxHeight] - Maximum height in pixels.
+ * 
+ * @property {number} [maxBytes] - Maximum file size in bytes; applies to files of any type.
+ * 
+ * @property {number|string} [aspectRatio] - Required width divided by height, or a string
+ * like "16:9" or "1:1".
+ * 
+ * @property {number} [aspectRatioTolerance] - Fraction the aspect ratio may differ from the
+ * required one by; defaults to 0.01 (1%).
+ */
+
+/**
+ * @typedef {Object} validation
+ * 
+ * @property {string} result - One of the VALIDATION_RESULTS.
+ * 
+ * @property {string|null} reason - Why the file is invalid or not allowed; null if it is valid.
+ */
+
 /**
  * Class to perform simple client-side image validation
  */
 const ImageValidator = class {
 	#allowableTypes;
+	#rejectUnknown;
+	#level;
+	/** @type {constraints} */
+	#constraints;
 	static VALIDATION_RESULTS = Object.freeze({
 		NOT_ALLOWED: 'not allowed',
 		VALID: 'valid',
 		INVALID: 'invalid'
 	});
+	static VALIDATION_LEVELS = Object.freeze({
+		BASIC: 'basic',
+		DEEP: 'deep'
+	});
 	/**
 	 * Get an array of image formats the ImageValidator class can validate.
 	 * 
@@ -60,10 +222,60 @@ const ImageValidator = class {
 	/**
 	 * @param {string[]} [allowableTypes] - Types not specified automatically
 	 * fail validation. For example, to only allow PNG and JPG files, include an array like
-	 * so: ['png', 'jpg']. Provide an empty array to allow any file type.
+	 * so: ['png', 'jpg']. Provide an empty array to allow any file type. Types are matched
+	 * regardless of case.
+	 * 
+	 * @param {Object} [options]
+	 * 
+	 * @param {boolean} [options.rejectUnknown] - Fail validation of files whose extension
+	 * isn't one of the supported types (including files without an extension), instead of
+	 * considering them valid.
+	 * 
+	 * @param {string} [options.level] - One of the VALIDATION_LEVELS. Basic validation only
+	 * checks the file header. Deep validation also reads PNG, JPEG and GIF files in full,
+	 * checking PNG chunk CRCs and the IEND chunk, JPEG segment lengths and the SOI and EOI
+	 * markers, and GIF blocks and the trailer, to catch truncated and corrupt files.
+	 * 
+	 * @param {constraints} [options.constraints] - Limits files must be within to be valid.
 	 */
-	constructor(allowableTypes = []) {
-		this.#allowableTypes = allowableTypes;
+	constructor(allowableTypes = [], {
+		rejectUnknown = false,
+		level = ImageValidator.VALIDATION_LEVELS.BASIC,
+		constraints = {}
+	} = {}) {
+		if (!Object.values(ImageValidator.VALIDATION_LEVELS).includes(level)) {
+			throw new TypeError(
+				`Unknown validation level "${level}"; expected one of: ` +
+				`${Object.values(ImageValidator.VALIDATION_LEVELS).join(', ')}.`
+			);
+		}
+		this.#allowableTypes = Array.isArray(allowableTypes) ?
+			allowableTypes.map(type => String(type).toLowerCase()) :
+			allowableTypes;
+		this.#rejectUnknown = rejectUnknown;
+		this.#level = level;
+		this.#constraints = ImageValidator.checkConstraints(constraints);
+	}
+	/**
+	 * Check that constraints are valid, throwing a TypeError if any aren't.
+	 * 
+	 * @param {constraints} constraints
+	 * 
+	 * @returns {constraints}
+	 */
+	static checkConstraints(constraints) {
+		for (const key of ['minWidth', 'maxWidth', 'minHeight', 'maxHeight', 'maxBytes', 'aspectRatioTolerance']) {
+			const value = constraints[key];
+			if (value !== undefined && (typeof value !== 'number' || !(value >= 0))) {
+				throw new TypeError(`Constraint "${key}" must be a non-negative number.`);
+			}
+		}
+		if (constraints.aspectRatio !== undefined && parseAspectRatio(constraints.aspectRatio) === null) {
+			throw new TypeError(
+				`Constraint "aspectRatio" must be a positive number or a string like "16:9"; got "${constraints.aspectRatio}".`
+			);
+		}
+		return constraints;
 	}
 	/**
 	 * Performs simple image validation by checking a file's extension
@@ -74,52 +286,167 @@ const ImageValidator = class {
 	 * @returns {Promise<string>}
 	 */
 	async isValidImage(filename) {
-		const ext = getFileExtension(filename);
+		return (await this.validate(filename)).result;
+	}
+	/**
+	 * Validate a file, getting the reason it is invalid or not allowed.
+	 * 
+	 * @param {string} filename
+	 * 
+	 * @param {Object} [options]
+	 * 
+	 * @param {constraints} [options.constraints] - Limits to check instead of the validator's.
+	 * 
+	 * @returns {Promise<validation>}
+	 */
+	async validate(filename, { constraints = this.#constraints } = {}) {
+		const { NOT_ALLOWED, VALID, INVALID } = ImageValidator.VALIDATION_RESULTS;
+
+		/* extensions are matched regardless of case */
+		const type = getFileExtension(filename)?.toLowerCase() ?? null;
 
 		/* check if this file extension is allowed */
 		if (Array.isArray(this.#allowableTypes) &&
 			this.#allowableTypes.length > 0 &&
-			!this.#allowableTypes.includes(ext)) {
+			!this.#allowableTypes.includes(type)) {
 
-			return ImageValidator.VALIDATION_RESULTS.NOT_ALLOWED;
+			return { result: NOT_ALLOWED, reason: 'file type is not allowed' };
 		}
 
-		/* get the corresponding magic numbers for this file extension */
-		const magicNums = magicNumTable.get(ext);
-
-		if (!magicNums) {
-			/* if no magic numbers for this extension exist, this extension is unknown;
-				consider it valid */
-			return ImageValidator.VALIDATION_RESULTS.VALID;
+		/* Cloudinary rejects empty files, whatever their type */
+		const { size } = await stat(filename)
+			.catch(error => {
+				throw new FileOpenError(error.message, filename);
+			});
+		if (size === 0) {
+			return { result: INVALID, reason: 'the file is empty' };
 		}
 
-		/* get the number of characters that comprise this extension's magic numbers */
-		const numChars = magicNums[0].length;
+		/* get the corresponding signature checks for this file extension */
+		const checks = type === null ? undefined : magicNumTable.get(type);
+
+		if (!checks) {
+			/* if no checks for this extension exist, this extension is unknown;
+				consider it valid unless unknown extensions are rejected */
+			if (this.#rejectUnknown) {
+				return {
+					result: INVALID,
+					reason: type === null ?
+						'the file has no extension' :
+						`the .${type} file type can't be validated`
+				};
+			}
+			const reason = await ImageValidator.#findViolation(filename, type, null, constraints);
+			return reason === null ? { result: VALID, reason: null } : { result: INVALID, reason };
+		}
 
 		const fileHeader = await new Promise((resolve, reject) => {
-			let data = '';
-
-			/* read in the file header; read in two bytes per character (the hex digits
-				that comprise a character) and then subtract one byte because the read
-				stream's end property is inclusive */
-			createReadStream(filename, { end: (numChars >>> 1) - 1, encoding: 'hex' })
-				.once('data', chunk => {
-					data += chunk;
+			const chunks = [];
+
+			/* read in the file header; the read stream's end property is inclusive */
+			createReadStream(filename, { end: HEADER_LENGTH - 1 })
+				.on('data', chunk => {
+					chunks.push(chunk);
 				})
 				.once('end', () => {
-					resolve(data);
+					resolve(Buffer.concat(chunks));
 				})
 				.once('error', error => {
 					reject(new FileOpenError(error.message, filename));
 				});
 		});
 
-		// console.log('fileHeader:', fileHeader);
+		/* compare the file header with the known signatures for this file extension */
+		if (!checks.some(check => check(fileHeader))) {
+			return { result: INVALID, reason: `its contents don't match the .${type} file type` };
+		}
+
+		const violation = await ImageValidator.#findViolation(filename, type, fileHeader, constraints);
+		if (violation !== null) {
+			return { result: INVALID, reason: violation };
+		}
+
+		if (this.#level === ImageValidator.VALIDATION_LEVELS.DEEP) {
+			const reason = await findCorruption(filename, type)
+				.catch(error => {
+					throw error instanceof FileError ? error : new FileOpenError(error.message, filename);
+				});
+			if (reason !== null) {
+				return { result: INVALID, reason };
+			}
+		}
 
-		/* compare the file header with known magic numbers for this file extension */
-		return magicNums.some(magicNum =>
-			magicNum.localeCompare(fileHeader, undefined, { sensitivity: 'accent' }) === 0
-		) ? ImageValidator.VALIDATION_RESULTS.VALID : ImageValidator.VALIDATION_RESULTS.INVALID;
+		return { result: VALID, reason: null };
+	}
+	/**
+	 * Get the first constraint a file violates, as a reason it is invalid. Returns null if the
+	 * file is within every limit.
+	 * 
+	 * @param {string} filename
+	 * 
+	 * @param {string|null} type - Lowercase file extension.
+	 * 
+	 * @param {Buffer|null} fileHeader - Start of the file; null if it wasn't read.
+	 * 
+	 * @param {constraints} constraints
+	 * 
+	 * @returns {Promise<string|null>}
+	 */
+	static async #findViolation(filename, type, fileHeader, {
+		minWidth = 0,
+		maxWidth = Infinity,
+		minHeight = 0,
+		maxHeight = Infinity,
+		maxBytes,
+		aspectRatio,
+		aspectRatioTolerance = 0.01
+	}) {
+		if (maxBytes !== undefined) {
+			const { size } = await stat(filename)
+				.catch(error => {
+					throw new FileOpenError(error.message, filename);
+				});
+			if (size > maxBytes) {
+				return `the file is ${formatBytes(size)}; at most ${formatBytes(maxBytes)} is allowed`;
+			}
+		}
+
+		const hasDimensionLimits = minWidth > 0 || maxWidth < Infinity ||
+			minHeight > 0 || maxHeight < Infinity || aspectRatio !== undefined;
+
+		if (!hasDimensionLimits || fileHeader === null || !hasDimensions(type)) {
+			return null;
+		}
+
+		const dimensions = await readDimensions(filename, type, fileHeader)
+			.catch(error => {
+				throw error instanceof FileError ? error : new FileOpenError(error.message, filename);
+			});
+		if (dimensions === null) {
+			return 'the image\'s dimensions couldn\'t be read';
+		}
+		const { width, height } = dimensions;
+
+		if (width < minWidth) {
+			return `the image is ${width}px wide; at least ${minWidth}px is required`;
+		}
+		if (width > maxWidth) {
+			return `the image is ${width}px wide; at most ${maxWidth}px is allowed`;
+		}
+		if (height < minHeight) {
+			return `the image is ${height}px tall; at least ${minHeight}px is required`;
+		}
+		if (height > maxHeight) {
+			return `the image is ${height}px tall; at most ${maxHeight}px is allowed`;
+		}
+		if (aspectRatio !== undefined) {
+			const required = parseAspectRatio(aspectRatio);
+			if (Math.abs(width / height - required) > required * aspectRatioTolerance) {
+				return `the image's aspect ratio is ${+(width / height).toFixed(3)} (${width}x${height}); ` +
+					`${aspectRatio}${typeof aspectRatio === 'string' ? ` (${+required.toFixed(3)})` : ''} is required`;
+			}
+		}
+		return null;
 	}
 };
 
@@ -0,0 +1,78 @@
+const { readdir, realpath, stat } = require('fs/promises');
+
+/**
+ * @typedef {Object} discoveryOptions
+ * 
+ * @property {boolean} recursive - Descend into subdirectories.
+ * 
+ * @property {number} maxDepth - Maximum number of subdirectory levels to descend into;
+ * 0 only lists the files of the top directory.
+ * 
+ * @property {boolean} followSymlinks - Descend into symbolically linked directories.
+ * 
+ * @property {boolean} skipHidden - Don't descend into directories whose names begin with a dot.
+ */
+
+/**
+ * Get the pathnames, relative to a directory, of the files it contains. Relative pathnames
+ * always use forward slashes so they can be mapped onto Cloudinary folders.
+ * 
+ * @param {string} imgDir - Directory to list; must end with a path separator unless empty.
+ * 
+ * @param {discoveryOptions} options
+ * 
+ * @returns {Promise<string[]>}
+ */
+const listFiles = async (
+    imgDir,
+    {
+        recursive = false,
+        maxDepth = Infinity,
+        followSymlinks = false,
+        skipHidden = true
+    } = {}
+) => {
+    const files = [];
+
+    /* real paths of the directories already visited; prevents symlink cycles */
+    const visited = new Set();
+
+    const walk = async (relDir, depth) => {
+        const dir = imgDir + relDir || '.';
+
+        visited.add(await realpath(dir));
+
+        for (const entry of await readdir(dir, { withFileTypes: true })) {
+
+            const relPath = relDir + entry.name;
+
+            let isDirectory = entry.isDirectory();
+
+            if (entry.isSymbolicLink()) {
+                /* a broken link is listed as a file so that it is reported when it fails to open */
+                const target = await stat(imgDir + relPath).catch(_ => null);
+                isDirectory = !!target?.isDirectory();
+                if (isDirectory && !followSymlinks) {
+                    continue;
+                }
+            }
+
+            if (!isDirectory) {
+                files.push(relPath);
+            }
+            else if (recursive &&
+                depth < maxDepth &&
+                !(skipHidden && entry.name.startsWith('.')) &&
+                !visited.has(await realpath(imgDir + relPath))) {
+
+                await walk(relPath + '/', depth + 1);
+            }
+        }
+    };
+
+    await walk('', 0);
+
+    return files.sort();
+};
+
+module.exports = listFiles;
\ No newline at end of file
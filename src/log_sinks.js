@@ -0,0 +1,191 @@
+const { EOL } = require('os');
+
+const { appendFile, writeFile } = require('fs/promises');
+
+/**
+ * Format a field value for the text format: strings without spaces are written as they are,
+ * errors as their message, and anything else as JSON.
+ * 
+ * @param {any} value
+ * 
+ * @returns {string}
+ */
+const formatValue = value => {
+    if (value instanceof Error) {
+        return JSON.stringify(value.message);
+    }
+    if (typeof value === 'string' && value.length > 0 && !/[\s"=]/.test(value)) {
+        return value;
+    }
+    return JSON.stringify(value) ?? String(value);
+};
+
+/**
+ * Format a record as a line of text, e.g. "2024-05-01T12:00:00.000Z WARN  skipped a.png reason=...".
+ * 
+ * @param {import('./logger').logRecord} record
+ * 
+ * @returns {string}
+ */
+const formatText = ({ time, level, message, ...fields }) => [
+    time,
+    level.toUpperCase().padEnd(5),
+    message,
+    ...Object.entries(fields)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}=${formatValue(value)}`)
+].join(' ');
+
+/**
+ * Convert errors to plain objects when writing a record as JSON, since their message and
+ * class aren't enumerable.
+ * 
+ * @param {string} _
+ * 
+ * @param {any} value
+ * 
+ * @returns {any}
+ */
+const replaceErrors = (_, value) => {
+    if (!(value instanceof Error)) {
+        return value;
+    }
+    const { stack, ...props } = value;
+    return { type: value.constructor.name, ...props, message: value.message };
+};
+
+/**
+ * Appends lines to a file in the order they're given. The file isn't kept open between writes,
+ * so nothing is left open if the sink is never closed.
+ */
+const FileWriter = class {
+    #filename;
+
+    /* whether the next write replaces the file rather than adding to it */
+    #truncate;
+
+    #pendingWrite = Promise.resolve();
+
+    /**
+     * @param {string} filename
+     * 
+     * @param {boolean} append - Add to the end of the file if it exists, rather than overwrite it.
+     */
+    constructor(filename, append) {
+        this.#filename = filename;
+        this.#truncate = !append;
+    }
+    /**
+     * @param {string} line
+     * 
+     * @returns {Promise<void>}
+     */
+    async write(line) {
+        const write = this.#pendingWrite.then(async () => {
+            await (this.#truncate ? writeFile : appendFile)(this.#filename, line + EOL, 'utf-8');
+            this.#truncate = false;
+        });
+        this.#pendingWrite = write.catch(() => {});
+        return write;
+    }
+    /**
+     * Wait for every pending write to finish.
+     * 
+     * @returns {Promise<void>}
+     */
+    async close() {
+        await this.#pendingWrite;
+    }
+};
+
+/**
+ * Sink that writes records as lines of text to the console; debug and info records go to
+ * standard output, and warn and error records to standard error.
+ */
+const ConsoleSink = class {
+    /**
+     * @param {import('./logger').logRecord} record
+     */
+    write(record) {
+        console[record.level](formatText(record));
+    }
+};
+
+/**
+ * Sink that writes records as lines of text to a file.
+ */
+const FileSink = class {
+    #writer;
+
+    /**
+     * @param {string} filename
+     * 
+     * @param {Object} options
+     * 
+     * @param {boolean} options.append - Add to the end of the file if it exists; defaults to true.
+     */
+    constructor(filename, { append = true } = {}) {
+        this.filename = filename;
+        this.#writer = new FileWriter(filename, append);
+    }
+    /**
+     * @param {import('./logger').logRecord} record
+     * 
+     * @returns {Promise<void>}
+     */
+    async write(record) {
+        return this.#writer.write(formatText(record));
+    }
+    /**
+     * Wait for every pending write to the file to finish.
+     * 
+     * @returns {Promise<void>}
+     */
+    async close() {
+        return this.#writer.close();
+    }
+};
+
+/**
+ * Sink that writes records as JSON Lines to a file or a writable stream, such as standard output
+ * for a log collector to read.
+ */
+const JsonSink = class {
+    #writer;
+
+    /**
+     * @param {string|import('stream').Writable} target - Filename or stream; defaults to standard output.
+     * 
+     * @param {Object} options
+     * 
+     * @param {boolean} options.append - Add to the end of the file if it exists; defaults to true.
+     */
+    constructor(target = process.stdout, { append = true } = {}) {
+        this.filename = typeof target === 'string' ? target : null;
+        this.#writer = typeof target === 'string' ?
+            new FileWriter(target, append) :
+            { write: async line => { target.write(line + EOL); }, close: async () => {} };
+    }
+    /**
+     * @param {import('./logger').logRecord} record
+     * 
+     * @returns {Promise<void>}
+     */
+    async write(record) {
+        return this.#writer.write(JSON.stringify(record, replaceErrors));
+    }
+    /**
+     * Wait for every pending write to finish, if writing to a file.
+     * 
+     * @returns {Promise<void>}
+     */
+    async close() {
+        return this.#writer.close();
+    }
+};
+
+module.exports = {
+    ConsoleSink,
+    FileSink,
+    JsonSink
+};
\ No newline at end of file
@@ -0,0 +1,268 @@
+/* levels of log records, from least to most severe */
+const LEVELS = Object.freeze({
+    DEBUG: 'debug',
+    INFO: 'info',
+    WARN: 'warn',
+    ERROR: 'error'
+});
+
+const SEVERITIES = Object.values(LEVELS);
+
+/* fields whose values are never logged, whatever they contain */
+const SECRET_FIELD_PATTERN = /secret|password|token|authorization/i;
+
+const REDACTED = '[REDACTED]';
+
+/**
+ * @typedef {Object} logRecord
+ * 
+ * @property {string} time - ISO 8601 time the record was logged.
+ * 
+ * @property {string} level - One of Logger.LEVELS.
+ * 
+ * @property {string} message
+ * 
+ * Any other properties are fields describing the event, e.g. pathname, reason or error.
+ */
+
+/**
+ * @typedef {Object} logSink - Destination of log records, such as the sinks of log_sinks.js.
+ * 
+ * @property {(record: logRecord) => void|Promise<void>} write
+ * 
+ * @property {(() => Promise<void>)|undefined} close
+ * 
+ * @property {string|null|undefined} filename - File the sink writes to, if any.
+ */
+
+/**
+ * Check that a level is one of Logger.LEVELS.
+ * 
+ * @param {string} level
+ */
+const checkLevel = level => {
+    if (!SEVERITIES.includes(level)) {
+        throw new TypeError(`Unknown log level "${level}"; expected one of: ${SEVERITIES.join(', ')}.`);
+    }
+};
+
+/**
+ * Sink that forwards records to a logger such as pino or winston, or the console, calling its
+ * method of the record's level.
+ */
+const ExternalSink = class {
+    #logger;
+
+    /* pino takes the fields before the message; winston and the console take the message first */
+    #fieldsFirst;
+
+    /**
+     * @param {{debug: Function, info: Function, warn: Function, error: Function}} logger
+     */
+    constructor(logger) {
+        this.#logger = logger;
+        this.#fieldsFirst = typeof logger.bindings === 'function';
+    }
+    /**
+     * @param {logRecord} record
+     */
+    write({ level, message, time, ...fields }) {
+        if (this.#fieldsFirst) {
+            this.#logger[level](fields, message);
+        }
+        else {
+            this.#logger[level](message, fields);
+        }
+    }
+};
+
+/**
+ * Class that passes log records of each level to any number of sinks, each with its own minimum
+ * level, after redacting secrets from them. The API secret, and fields whose names suggest a
+ * secret, never reach a sink.
+ */
+const Logger = class {
+    /** @type {{sink: logSink, level: string}[]} */
+    #sinks;
+
+    /** @type {string[]} */
+    #secrets;
+
+    static LEVELS = LEVELS;
+
+    /**
+     * @param {{sink: logSink, level: string}[]} sinks - Sinks and the least severe level each is sent.
+     * 
+     * @param {Object} options
+     * 
+     * @param {(string|null|undefined)[]} options.secrets - Values that are replaced wherever they appear
+     * in a record, such as the API secret.
+     */
+    constructor(sinks = [], { secrets = [] } = {}) {
+        sinks.forEach(({ level }) => checkLevel(level));
+        this.#sinks = sinks;
+        this.#secrets = secrets.filter(secret => typeof secret === 'string' && secret.length > 0);
+    }
+    /**
+     * Create a logger that sends records to one or more sinks or loggers. Anything with a write method
+     * is a sink; anything else, such as a pino or winston logger, is called with the method of each
+     * record's level.
+     * 
+     * @param {logSink|{}|(logSink|{})[]|null} targets
+     * 
+     * @param {Object} options
+     * 
+     * @param {string} options.level - Least severe level sent to the targets; defaults to "info".
+     * 
+     * @param {(string|null|undefined)[]} options.secrets
+     * 
+     * @returns {Logger}
+     */
+    static create(targets, { level = LEVELS.INFO, secrets = [] } = {}) {
+        return new Logger(
+            [targets ?? []].flat().map(target => ({
+                sink: typeof target.write === 'function' ? target : new ExternalSink(target),
+                level
+            })),
+            { secrets }
+        );
+    }
+    /**
+     * Create a logger that sends records to this logger's sinks and another sink, e.g. an error
+     * file used by a single upload.
+     * 
+     * @param {logSink} sink
+     * 
+     * @param {string} level
+     * 
+     * @returns {Logger}
+     */
+    with(sink, level) {
+        return new Logger([...this.#sinks, { sink, level }], { secrets: this.#secrets });
+    }
+    /**
+     * Files the sinks write to, so the uploader never uploads them.
+     * 
+     * @returns {string[]}
+     */
+    get filenames() {
+        return this.#sinks.map(({ sink }) => sink.filename).filter(filename => typeof filename === 'string');
+    }
+    /**
+     * Whether any sink is sent records of a level, so records that are costly to build can be skipped.
+     * 
+     * @param {string} level
+     * 
+     * @returns {boolean}
+     */
+    isEnabled(level) {
+        return this.#sinks.some(sink => SEVERITIES.indexOf(level) >= SEVERITIES.indexOf(sink.level));
+    }
+    /**
+     * Log a record. Resolves once every sink has written it; a sink that fails to write rejects
+     * the promise, but the rejection is not reported as unhandled if the promise is ignored.
+     * 
+     * @param {string} level - One of Logger.LEVELS.
+     * 
+     * @param {string} message
+     * 
+     * @param {{}} fields - Fields describing the event.
+     * 
+     * @returns {Promise<void>}
+     */
+    log(level, message, fields = {}) {
+        checkLevel(level);
+        const targets = this.#sinks.filter(sink => SEVERITIES.indexOf(level) >= SEVERITIES.indexOf(sink.level));
+        if (targets.length === 0) {
+            return Promise.resolve();
+        }
+        const record = {
+            time: new Date().toISOString(),
+            level,
+            message: this.redact(message),
+            ...this.redact(fields)
+        };
+        const written = Promise.all(targets.map(async ({ sink }) => sink.write(record))).then(() => {});
+        written.catch(() => {});
+        return written;
+    }
+    /**
+     * @param {string} message
+     * 
+     * @param {{}} fields
+     * 
+     * @returns {Promise<void>}
+     */
+    debug(message, fields) {
+        return this.log(LEVELS.DEBUG, message, fields);
+    }
+    /**
+     * @param {string} message
+     * 
+     * @param {{}} fields
+     * 
+     * @returns {Promise<void>}
+     */
+    info(message, fields) {
+        return this.log(LEVELS.INFO, message, fields);
+    }
+    /**
+     * @param {string} message
+     * 
+     * @param {{}} fields
+     * 
+     * @returns {Promise<void>}
+     */
+    warn(message, fields) {
+        return this.log(LEVELS.WARN, message, fields);
+    }
+    /**
+     * @param {string} message
+     * 
+     * @param {{}} fields
+     * 
+     * @returns {Promise<void>}
+     */
+    error(message, fields) {
+        return this.log(LEVELS.ERROR, message, fields);
+    }
+    /**
+     * Close every sink that can be closed, once their pending writes have finished.
+     * 
+     * @returns {Promise<void>}
+     */
+    async close() {
+        await Promise.all(this.#sinks.map(({ sink }) => sink.close?.()));
+    }
+    /**
+     * Replace secrets in a value. Errors are copied, keeping their class, if their message or
+     * other properties contain a secret.
+     * 
+     * @param {any} value
+     * 
+     * @returns {any}
+     */
+    redact(value) {
+        if (typeof value === 'string') {
+            return this.#secrets.reduce((text, secret) => text.split(secret).join(REDACTED), value);
+        }
+        if (value instanceof Error) {
+            const props = Object.fromEntries(['message', 'stack', ...Object.keys(value)]
+                .map(key => [key, this.redact(value[key])]));
+            const changed = Object.keys(props).some(key => props[key] !== value[key]);
+            return changed ? Object.assign(Object.create(Object.getPrototypeOf(value)), props) : value;
+        }
+        if (Array.isArray(value)) {
+            return value.map(item => this.redact(item));
+        }
+        if (typeof value === 'object' && value !== null) {
+            return Object.fromEntries(Object.entries(value).map(([key, field]) => [
+                key,
+                SECRET_FIELD_PATTERN.test(key) ? REDACTED : this.redact(field)
+            ]));
+        }
+        return value;
+    }
+};
+
+module.exports = Logger;
\ No newline at end of file
@@ -0,0 +1,144 @@
+/* placeholders that can be used in a public ID template; {hashN} is the first N characters of the hash */
+const PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+const PLACEHOLDERS = ['folder', 'name', 'ext', 'filename', 'hash'];
+
+/**
+ * @typedef {Object} fileNameInfo - Parts of a file's name that a public ID can be made from.
+ * 
+ * @property {string} filename - Pathname of the file relative to the image directory.
+ * 
+ * @property {string} folder - Subdirectory of the file within the image directory; empty for files
+ * directly in the image directory.
+ * 
+ * @property {string} name - Filename without its directory or extension.
+ * 
+ * @property {string} ext - File extension, without the dot.
+ * 
+ * @property {string|null} hash - SHA-256 hash of the file's contents, in hex; only computed if the
+ * template uses it or a publicId function is provided.
+ * 
+ * @property {string} publicId - Public ID produced by the template, slugification and lowercasing.
+ */
+
+/**
+ * Replace characters that aren't letters, digits, underscores or hyphens with hyphens in each
+ * segment of a path, removing accents from letters first, e.g. "Café Menu/Été 2024" becomes
+ * "Cafe-Menu/Ete-2024".
+ * 
+ * @param {string} text
+ * 
+ * @returns {string}
+ */
+const toSlug = text => text.split('/')
+    .map(segment => segment
+        .normalize('NFKD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^A-Za-z0-9_-]+/g, '-')
+        .replace(/^-+|-+$/g, ''))
+    .join('/');
+
+/**
+ * Class that gives files public IDs from a template such as "{folder}/{name}-{hash8}", optionally
+ * slugified, lowercased and passed through a function.
+ */
+const NamingStrategy = class {
+    #template;
+    #slugify;
+    #lowercase;
+    #publicId;
+
+    /**
+     * @param {Object} options
+     * 
+     * @param {string} options.template - Template of public IDs. The placeholders are {folder} (the file's
+     * subdirectory), {name}, {ext}, {filename} (name and extension), {hash} (SHA-256 of the contents) and
+     * {hashN} (its first N characters). Defaults to "{name}".
+     * 
+     * @param {boolean} options.slugify - Replace characters other than letters, digits, underscores and
+     * hyphens with hyphens, and remove accents.
+     * 
+     * @param {boolean} options.lowercase - Lowercase public IDs.
+     * 
+     * @param {((info: fileNameInfo) => string|Promise<string>)|null} options.publicId - Function that
+     * returns the public ID of a file, given the parts of its name and the public ID produced by the
+     * other options.
+     */
+    constructor({ template = '{name}', slugify = false, lowercase = false, publicId = null } = {}) {
+        for (const [, placeholder] of template.matchAll(PLACEHOLDER_PATTERN)) {
+            if (!PLACEHOLDERS.includes(placeholder) && !/^hash\d+$/.test(placeholder)) {
+                throw new TypeError(
+                    `Unknown placeholder "{${placeholder}}" in public ID template "${template}"; ` +
+                    `expected one of: ${PLACEHOLDERS.map(p => `{${p}}`).join(', ')}, {hashN}.`
+                );
+            }
+        }
+        if (publicId !== null && typeof publicId !== 'function') {
+            throw new TypeError('The publicId naming option must be a function.');
+        }
+        this.#template = template;
+        this.#slugify = slugify;
+        this.#lowercase = lowercase;
+        this.#publicId = publicId;
+    }
+    /**
+     * Whether the hash of each file's contents is needed to name it.
+     * 
+     * @returns {boolean}
+     */
+    get needsHash() {
+        return /\{hash\d*\}/.test(this.#template) || this.#publicId !== null;
+    }
+    /**
+     * Whether public IDs include the file's subdirectory, in which case the subdirectory isn't
+     * also mirrored as a Cloudinary subfolder.
+     * 
+     * @returns {boolean}
+     */
+    get placesFolder() {
+        return this.#template.includes('{folder}');
+    }
+    /**
+     * Get the public ID of a file.
+     * 
+     * @param {string} filename - Pathname of the file relative to the image directory.
+     * 
+     * @param {string|null} hash - SHA-256 hash of the file's contents, if needed.
+     * 
+     * @returns {Promise<string>}
+     */
+    async getPublicId(filename, hash = null) {
+        const dirPos = filename.lastIndexOf('/');
+        const basename = filename.substring(dirPos + 1);
+        const extPos = basename.lastIndexOf('.');
+        const parts = {
+            folder: dirPos === -1 ? '' : filename.substring(0, dirPos),
+            name: extPos === -1 ? basename : basename.substring(0, extPos),
+            ext: extPos === -1 ? '' : basename.substring(extPos + 1),
+            filename: basename
+        };
+
+        let publicId = this.#template
+            .replace(PLACEHOLDER_PATTERN, (_, placeholder) => placeholder.startsWith('hash') ?
+                (hash ?? '').substring(0, Number(placeholder.substring(4)) || undefined) :
+                parts[placeholder])
+            /* an empty folder or name mustn't leave stray or doubled slashes */
+            .replace(/\/{2,}/g, '/')
+            .replace(/^\/|\/$/g, '');
+
+        if (this.#slugify) {
+            publicId = toSlug(publicId);
+        }
+        if (this.#lowercase) {
+            publicId = publicId.toLowerCase();
+        }
+        if (this.#publicId !== null) {
+            publicId = await this.#publicId({ filename, ...parts, hash, publicId });
+        }
+        if (typeof publicId !== 'string' || publicId.length === 0) {
+            throw new TypeError(`The public ID of "${filename}" is empty.`);
+        }
+        return publicId;
+    }
+};
+
+module.exports = NamingStrategy;
\ No newline at end of file
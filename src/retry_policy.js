@@ -0,0 +1,211 @@
+const wait = require('timers/promises').setTimeout;
+
+const { default: axios } = require('axios');
+
+/* HTTP codes that signal a temporary condition on Cloudinary's end */
+const RETRYABLE_STATUS_CODES = [408, 420, 429, 500, 502, 503, 504];
+
+/* network error codes that signal a temporary connection problem; note that axios
+    reports its own request timeouts as ECONNABORTED */
+const RETRYABLE_ERROR_CODES = [
+    'ECONNABORTED',
+    'ECONNRESET',
+    'ECONNREFUSED',
+    'ETIMEDOUT',
+    'EPIPE',
+    'EAI_AGAIN',
+    'ENETUNREACH',
+    'EHOSTUNREACH'
+];
+
+/**
+ * Get the number of milliseconds the server asked us to wait before retrying a request.
+ * Returns null if the server didn't specify a wait time.
+ * 
+ * @param {{}} headers - Headers of the server's error response.
+ * 
+ * @param {number} status - HTTP code of the server's error response.
+ * 
+ * @returns {number|null}
+ */
+const getServerDelay = (headers = {}, status) => {
+    const retryAfter = headers['retry-after'];
+    if (retryAfter !== undefined) {
+        /* Retry-After is either a number of seconds or an HTTP date */
+        const seconds = Number(retryAfter);
+        const ms = Number.isNaN(seconds) ? Date.parse(retryAfter) - Date.now() : seconds * 1000;
+        if (!Number.isNaN(ms)) {
+            return Math.max(0, ms);
+        }
+    }
+    /* Cloudinary reports when the rate limit window resets as an HTTP date */
+    const reset = headers['x-featureratelimit-reset'];
+    if ((status === 420 || status === 429) && reset !== undefined) {
+        const ms = Date.parse(reset) - Date.now();
+        if (!Number.isNaN(ms)) {
+            return Math.max(0, ms);
+        }
+    }
+    return null;
+};
+
+/**
+ * Class that decides whether a failed request should be attempted again and how
+ * long to wait before doing so.
+ */
+const RetryPolicy = class {
+    static RETRYABLE_STATUS_CODES = Object.freeze(RETRYABLE_STATUS_CODES);
+
+    static RETRYABLE_ERROR_CODES = Object.freeze(RETRYABLE_ERROR_CODES);
+
+    /**
+     * @param {Object} options
+     * 
+     * @param {number} options.maxAttempts - Total number of attempts allowed, including the
+     * first one. Provide 1 to disable retries.
+     * 
+     * @param {number} options.baseDelay - Milliseconds to wait before the first retry.
+     * 
+     * @param {number} options.maxDelay - Upper bound, in milliseconds, of the backoff delay.
+     * 
+     * @param {number} options.factor - Multiplier applied to the delay after each attempt.
+     * 
+     * @param {number} options.jitter - Fraction (0 to 1) of each delay that is randomized so
+     * concurrent uploads don't all retry at the same moment.
+     * 
+     * @param {number[]} options.retryableStatusCodes - HTTP codes that may be retried.
+     * 
+     * @param {string[]} options.retryableErrorCodes - Network error codes that may be retried.
+     * 
+     * @param {number} options.maxServerDelay - Maximum number of milliseconds to honor from a
+     * Retry-After or rate-limit reset header; if the server asks for a longer wait, the
+     * request is not retried.
+     */
+    constructor({
+        maxAttempts = 3,
+        baseDelay = 1000,
+        maxDelay = 30000,
+        factor = 2,
+        jitter = 0.5,
+        retryableStatusCodes = RETRYABLE_STATUS_CODES,
+        retryableErrorCodes = RETRYABLE_ERROR_CODES,
+        maxServerDelay = 60000
+    } = {}) {
+        this.maxAttempts = Math.max(1, maxAttempts);
+        this.baseDelay = baseDelay;
+        this.maxDelay = maxDelay;
+        this.factor = factor;
+        this.jitter = Math.min(Math.max(jitter, 0), 1);
+        this.retryableStatusCodes = retryableStatusCodes;
+        this.retryableErrorCodes = retryableErrorCodes;
+        this.maxServerDelay = maxServerDelay;
+    }
+    /**
+     * Get the number of milliseconds the server asked us to wait before sending another request,
+     * from a Retry-After header or, when rate limited, the rate limit reset header. Returns null
+     * if the server didn't specify a wait time.
+     * 
+     * @param {{}} headers - Headers of the server's response.
+     * 
+     * @param {number} status - HTTP code of the server's response.
+     * 
+     * @returns {number|null}
+     */
+    static getServerDelay(headers, status) {
+        return getServerDelay(headers, status);
+    }
+    /**
+     * Evaluates if a failed request is worth attempting again.
+     * 
+     * @param {import('axios').AxiosError} error
+     * 
+     * @returns {boolean}
+     */
+    isRetryable(error) {
+        /* never retry a request the user canceled */
+        if (axios.isCancel(error)) {
+            return false;
+        }
+        if (error.response) {
+            return this.retryableStatusCodes.includes(error.response.status);
+        }
+        return this.retryableErrorCodes.includes(error.code);
+    }
+    /**
+     * Get the number of milliseconds to wait before the next attempt. Returns null if the
+     * server asked for a longer wait than this policy allows.
+     * 
+     * @param {number} attempt - Number of attempts made so far.
+     * 
+     * @param {import('axios').AxiosError} error - Error from the last attempt.
+     * 
+     * @returns {number|null}
+     */
+    getDelay(attempt, error) {
+        const backoff = Math.min(
+            this.maxDelay,
+            this.baseDelay * Math.pow(this.factor, attempt - 1)
+        );
+        const delay = backoff - backoff * this.jitter * Math.random();
+
+        const serverDelay = getServerDelay(error.response?.headers, error.response?.status);
+        if (serverDelay === null) {
+            return Math.round(delay);
+        }
+        if (serverDelay > this.maxServerDelay) {
+            return null;
+        }
+        return Math.round(Math.max(delay, serverDelay));
+    }
+    /**
+     * @callback retryListener
+     * 
+     * @param {number} attempt - Number of the attempt that failed.
+     * 
+     * @param {number} delay - Milliseconds until the next attempt.
+     * 
+     * @param {import('axios').AxiosError} error - Error from the failed attempt.
+     * 
+     * @returns {void}
+     */
+    /**
+     * Run a task, attempting it again whenever it fails with a retryable error.
+     * 
+     * @template T
+     * 
+     * @param {(attempt: number) => Promise<T>} task
+     * 
+     * @param {Object} options
+     * 
+     * @param {AbortSignal|null} options.signal - If provided and an abort event is emitted,
+     * no further attempts will be made.
+     * 
+     * @param {retryListener|null} options.onRetry - Function to call before each retry.
+     * 
+     * @returns {Promise<T>}
+     */
+    async run(task, { signal = null, onRetry = null } = {}) {
+        for (let attempt = 1; ; ++attempt) {
+            try {
+                return await task(attempt);
+            }
+            catch (error) {
+                if (attempt >= this.maxAttempts ||
+                    signal?.aborted ||
+                    !this.isRetryable(error)) {
+                    throw error;
+                }
+                const delay = this.getDelay(attempt, error);
+                if (delay === null) {
+                    throw error;
+                }
+                if (typeof onRetry === 'function') {
+                    onRetry(attempt, delay, error);
+                }
+                await wait(delay, undefined, { signal: signal ?? undefined });
+            }
+        }
+    }
+};
+
+module.exports = RetryPolicy;
\ No newline at end of file
@@ -0,0 +1,226 @@
+const { writeFile, rename } = require('fs/promises');
+
+const ErrorLog = require('./error_log');
+
+/* formats a report can be written in */
+const FORMATS = Object.freeze({
+    JSON: 'json',
+    ESM: 'esm'
+});
+
+/**
+ * @typedef {Object} uploadedAsset - A file's asset on Cloudinary.
+ * 
+ * @property {string} pathname - Pathname of the file.
+ * 
+ * @property {string} filename - Pathname of the file relative to the image directory, using forward slashes.
+ * 
+ * @property {string} publicId - Public ID Cloudinary gave the file, including its folder.
+ * 
+ * @property {string} secureUrl - HTTPS URL of the asset.
+ * 
+ * @property {number} version - Version Cloudinary gave the upload.
+ * 
+ * @property {number|null} width - Width of the asset in pixels, if Cloudinary reported one.
+ * 
+ * @property {number|null} height - Height of the asset in pixels, if Cloudinary reported one.
+ * 
+ * @property {string|null} format - Format of the asset, e.g. "png".
+ * 
+ * @property {number|null} bytes - Size of the asset in bytes, as stored by Cloudinary.
+ */
+
+/**
+ * @typedef {Object} runReport - What an upload did.
+ * 
+ * @property {Object} counts - Number of files in each of the lists below.
+ * 
+ * @property {number} totalBytes - Total size of the assets uploaded.
+ * 
+ * @property {number} durationMs - Milliseconds the upload took, including file selection and validation.
+ * 
+ * @property {boolean} canceled - Whether the upload was canceled before every file was uploaded.
+ * 
+ * @property {uploadedAsset[]} succeeded - Files that were uploaded.
+ * 
+ * @property {import('./error_log').errorEntry[]} failed - Files that failed to upload, recorded like
+ * the entries of a jsonl error log so the report can be used to retry them.
+ * 
+ * @property {import('./cloudinary_uploader').skippedFile[]} invalid - Files that failed validation or
+ * couldn't be opened.
+ * 
+ * @property {import('./cloudinary_uploader').skippedFile[]} existing - Files that already exist on the server.
+ * 
+ * @property {import('./cloudinary_uploader').skippedFile[]} notAllowed - Files whose types aren't allowed.
+ * 
+ * @property {import('./cloudinary_uploader').skippedFile[]} unchanged - Files the manifest shows haven't
+ * changed since their last upload.
+ * 
+ * @property {import('./cloudinary_uploader').skippedFile[]} excluded - Files that were left out by the
+ * include and exclude patterns, the ignore file or the collision policy.
+ * 
+ * @property {import('./cloudinary_uploader').skippedFile[]} duplicates - Files identical to another file.
+ */
+
+/**
+ * Compare two keys without regard to locale, so output is identical on every machine.
+ * 
+ * @param {string} a
+ * 
+ * @param {string} b
+ * 
+ * @returns {number}
+ */
+const byKey = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+
+/**
+ * Class that collects the results of an upload into a report, and writes the report as JSON
+ * or as an ES module mapping each file to the URL of its asset, for front-end builds to import.
+ */
+const RunReport = class {
+    #startedAt = Date.now();
+
+    /** @type {uploadedAsset[]} */
+    #succeeded = [];
+
+    /** @type {import('./error_log').errorEntry[]} */
+    #failed = [];
+
+    /* assets of files that weren't uploaded again because they're unchanged, keyed by filename */
+    #unchangedAssets = new Map();
+
+    static FORMATS = FORMATS;
+
+    /**
+     * Record a file that was uploaded.
+     * 
+     * @param {string} filename - Pathname of the file relative to the image directory.
+     * 
+     * @param {string} pathname
+     * 
+     * @param {{}} response - Object returned by Cloudinary detailing the upload.
+     */
+    addSuccess(filename, pathname, response) {
+        this.#succeeded.push({
+            pathname,
+            filename,
+            publicId: response.public_id,
+            secureUrl: response.secure_url,
+            version: response.version,
+            width: response.width ?? null,
+            height: response.height ?? null,
+            format: response.format ?? null,
+            bytes: response.bytes ?? null
+        });
+    }
+    /**
+     * Record a file that failed to upload.
+     * 
+     * @param {string} pathname
+     * 
+     * @param {import('./errors').FileError} error
+     * 
+     * @param {Object} options
+     * 
+     * @param {boolean} options.critical - Whether the error stopped the upload.
+     * 
+     * @param {{}} options.optionalParams - Optional upload params of the run.
+     */
+    addFailure(pathname, error, { critical = false, optionalParams = {} } = {}) {
+        this.#failed.push({ ...ErrorLog.toEntry(error, critical, optionalParams), pathname });
+    }
+    /**
+     * Record the asset of an unchanged file, from its manifest entry, so it can still be looked
+     * up in an ES module report. Entries written before dimensions and formats were recorded
+     * only have the public ID, version and URL.
+     * 
+     * @param {string} filename - Pathname of the file relative to the image directory.
+     * 
+     * @param {import('./upload_manifest').manifestEntry} entry
+     */
+    addUnchanged(filename, entry) {
+        const { sha256: _, ...asset } = entry;
+        this.#unchangedAssets.set(filename, asset);
+    }
+    /**
+     * Get the report of the upload.
+     * 
+     * @param {import('./cloudinary_uploader').uploadPlan} plan - What happened to the files that
+     * weren't uploaded.
+     * 
+     * @param {Object} options
+     * 
+     * @param {boolean} options.canceled - Whether the upload was canceled.
+     * 
+     * @returns {runReport}
+     */
+    finish(plan, { canceled = false } = {}) {
+        const lists = {
+            succeeded: [...this.#succeeded].sort((a, b) => byKey(a.pathname, b.pathname)),
+            failed: [...this.#failed].sort((a, b) => byKey(a.pathname, b.pathname)),
+            invalid: plan.invalid,
+            existing: plan.existing,
+            notAllowed: plan.notAllowed,
+            unchanged: plan.unchanged,
+            excluded: plan.excluded,
+            duplicates: plan.duplicates
+        };
+        return {
+            counts: Object.fromEntries(Object.entries(lists).map(([name, list]) => [name, list.length])),
+            totalBytes: this.#succeeded.reduce((total, { bytes }) => total + (bytes ?? 0), 0),
+            durationMs: Date.now() - this.#startedAt,
+            canceled,
+            ...lists
+        };
+    }
+    /**
+     * Write a report to a file. The ES module format exports an object mapping each file's pathname,
+     * relative to the image directory, to the URL of its asset by default, and the assets' public IDs,
+     * versions, dimensions and formats as "assets". Unchanged files are included with the details
+     * recorded in the manifest.
+     * 
+     * @param {runReport} report
+     * 
+     * @param {string} filename
+     * 
+     * @param {string} format - One of "json" or "esm".
+     * 
+     * @returns {Promise<void>}
+     */
+    async write(report, filename, format = FORMATS.JSON) {
+        let contents = null;
+        if (format === FORMATS.ESM) {
+            const assets = new Map(this.#unchangedAssets);
+            for (const { pathname: _, filename: key, ...asset } of report.succeeded) {
+                assets.set(key, asset);
+            }
+            const keys = [...assets.keys()].sort(byKey);
+            const details = Object.fromEntries(keys.map(key => [key, assets.get(key)]));
+            const urls = Object.fromEntries(keys.map(key => [key, assets.get(key).secureUrl]));
+            contents = '/* Generated by cloudinary-upload; changes will be overwritten. */\n\n' +
+                `export const assets = ${JSON.stringify(details, null, 2)};\n\n` +
+                `export default ${JSON.stringify(urls, null, 2)};\n`;
+        }
+        else {
+            contents = JSON.stringify(report, null, 2) + '\n';
+        }
+        /* write to a temporary file first so a build never imports a half-written file */
+        const tempFilename = filename + '.tmp';
+        await writeFile(tempFilename, contents, 'utf-8');
+        await rename(tempFilename, filename);
+    }
+    /**
+     * Check that a report format is supported.
+     * 
+     * @param {string} format
+     */
+    static checkFormat(format) {
+        if (!Object.values(FORMATS).includes(format)) {
+            throw new TypeError(
+                `Unknown report format "${format}"; expected one of: ${Object.values(FORMATS).join(', ')}.`
+            );
+        }
+    }
+};
+
+module.exports = RunReport;
\ No newline at end of file
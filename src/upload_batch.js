@@ -0,0 +1,180 @@
+/* states of a batch of uploads */
+const STATUSES = Object.freeze({
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    CANCELED: 'canceled',
+    FINISHED: 'finished',
+    FAILED: 'failed'
+});
+
+/**
+ * Class that controls a running batch of uploads: it can be paused, resumed and canceled, and
+ * awaited like a promise of the batch's result. While it's paused, no file or chunk begins
+ * uploading, but those already being sent are allowed to finish.
+ */
+const UploadBatch = class {
+    #status = STATUSES.RUNNING;
+    #controller = new AbortController();
+
+    /** @type {Promise<any>} */
+    #promise;
+
+    /* resolves the promise that uploads waiting for the batch to be resumed are waiting on */
+    #resume = null;
+
+    /** @type {Promise<void>|null} */
+    #resumed = null;
+
+    /* who paused the batch, e.g. the user or the circuit breaker; it runs again once all of them
+        have resumed it */
+    #pausedBy = new Set();
+
+    static STATUSES = STATUSES;
+
+    /**
+     * @param {(batch: UploadBatch, abort: () => void) => Promise<any>} run - Runs the batch. It's given
+     * the batch, to wait on while paused and to read the abort signal from, and a function that aborts
+     * the batch because of a critical error, marking it as failed.
+     */
+    constructor(run) {
+        this.#promise = run(this, () => this.#stop(STATUSES.FAILED))
+            .then(
+                result => {
+                    this.#settle(STATUSES.FINISHED);
+                    return result;
+                },
+                error => {
+                    this.#settle(STATUSES.FAILED);
+                    throw error;
+                }
+            );
+    }
+    /**
+     * State of the batch: "running", "paused", "canceled", "finished" or "failed" (a critical error
+     * stopped the batch, or it couldn't be run at all).
+     * 
+     * @returns {string}
+     */
+    get status() {
+        return this.#status;
+    }
+    /**
+     * Signal that is aborted when the batch is canceled or fails.
+     * 
+     * @returns {AbortSignal}
+     */
+    get signal() {
+        return this.#controller.signal;
+    }
+    /**
+     * Stop new files and chunks from being uploaded until resume() is called. Uploads already
+     * in progress finish their current request.
+     * 
+     * @param {string} pausedBy - Who is pausing the batch; defaults to "user". A batch paused by
+     * several parties only continues once each of them has resumed it.
+     * 
+     * @returns {this}
+     */
+    pause(pausedBy = 'user') {
+        if (this.#status === STATUSES.RUNNING) {
+            this.#status = STATUSES.PAUSED;
+            this.#resumed = new Promise(resolve => this.#resume = resolve);
+        }
+        if (this.#status === STATUSES.PAUSED) {
+            this.#pausedBy.add(pausedBy);
+        }
+        return this;
+    }
+    /**
+     * Continue uploading after pause().
+     * 
+     * @param {string} pausedBy - Who paused the batch; defaults to "user".
+     * 
+     * @returns {this}
+     */
+    resume(pausedBy = 'user') {
+        this.#pausedBy.delete(pausedBy);
+        if (this.#status === STATUSES.PAUSED && this.#pausedBy.size === 0) {
+            this.#status = STATUSES.RUNNING;
+            this.#wake();
+        }
+        return this;
+    }
+    /**
+     * Abort the uploads in progress and leave out the files that haven't begun uploading. The
+     * batch still finishes cleanly: the manifest is saved and the error file is closed.
+     * 
+     * @returns {this}
+     */
+    cancel() {
+        this.#stop(STATUSES.CANCELED);
+        return this;
+    }
+    /**
+     * Wait until the batch is no longer paused. Resolves at once unless it's paused.
+     * 
+     * @returns {Promise<void>}
+     */
+    async waitUntilResumed() {
+        await this.#resumed;
+    }
+    /**
+     * @param {Function} onFulfilled
+     * 
+     * @param {Function} onRejected
+     * 
+     * @returns {Promise<any>}
+     */
+    then(onFulfilled, onRejected) {
+        return this.#promise.then(onFulfilled, onRejected);
+    }
+    /**
+     * @param {Function} onRejected
+     * 
+     * @returns {Promise<any>}
+     */
+    catch(onRejected) {
+        return this.#promise.catch(onRejected);
+    }
+    /**
+     * @param {Function} onFinally
+     * 
+     * @returns {Promise<any>}
+     */
+    finally(onFinally) {
+        return this.#promise.finally(onFinally);
+    }
+    /**
+     * Abort the batch, unless it has already ended.
+     * 
+     * @param {string} status - Status the batch ends with.
+     */
+    #stop(status) {
+        if (this.#status === STATUSES.RUNNING || this.#status === STATUSES.PAUSED) {
+            this.#status = status;
+            this.#controller.abort();
+            this.#wake();
+        }
+    }
+    /**
+     * Set the status of a batch that has run to completion, unless it was canceled or failed.
+     * 
+     * @param {string} status
+     */
+    #settle(status) {
+        if (this.#status === STATUSES.RUNNING || this.#status === STATUSES.PAUSED) {
+            this.#status = status;
+        }
+        this.#wake();
+    }
+    /**
+     * Let the uploads waiting for the batch to be resumed continue.
+     */
+    #wake() {
+        this.#resume?.();
+        this.#resume = null;
+        this.#resumed = null;
+    }
+};
+
+module.exports = UploadBatch;
\ No newline at end of file
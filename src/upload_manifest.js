@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+
+const { createReadStream } = require('fs');
+
+const { readFile, writeFile, rename } = require('fs/promises');
+
+const { dirname, relative, resolve, sep } = require('path');
+
+const { FileOpenError } = require('./errors');
+
+const { fullPublicId } = require('./batch_conflicts');
+
+/* format version written to the manifest so future formats can be told apart */
+const MANIFEST_VERSION = 1;
+
+/**
+ * @typedef {Object} manifestEntry - Record of a file's last successful upload.
+ * 
+ * @property {string} sha256 - Hash of the file's contents when it was uploaded.
+ * 
+ * @property {string} publicId - Public ID Cloudinary gave the file, including its folder.
+ * 
+ * @property {string} [assetFolder] - Folder of the uploaded file, on accounts that keep folders
+ * separate from public IDs.
+ * 
+ * @property {number} version - Version Cloudinary gave the upload.
+ * 
+ * @property {string} secureUrl - HTTPS URL of the uploaded file.
+ * 
+ * @property {number} [width] - Width of the uploaded file in pixels, if Cloudinary reported one.
+ * 
+ * @property {number} [height] - Height of the uploaded file in pixels, if Cloudinary reported one.
+ * 
+ * @property {string} [format] - Format of the uploaded file, e.g. "png".
+ */
+
+/**
+ * Class that records the content hash of each uploaded file so unchanged files can be skipped
+ * on later runs without asking Cloudinary whether they exist. Pathnames are stored relative to
+ * the manifest file and entries are sorted, so the manifest can be committed and shared.
+ */
+const UploadManifest = class {
+    /** @type {Map<string, manifestEntry>} */
+    #entries = new Map();
+
+    /**
+     * @param {string} filename - File the manifest is read from and saved to.
+     */
+    constructor(filename) {
+        this.filename = filename;
+    }
+    /**
+     * Read a manifest file. Returns an empty manifest if the file doesn't exist.
+     * 
+     * @param {string} filename
+     * 
+     * @returns {Promise<UploadManifest>}
+     */
+    static async load(filename) {
+        const manifest = new UploadManifest(filename);
+
+        const contents = await readFile(filename, 'utf-8')
+            .catch(error => {
+                if (error.code === 'ENOENT') {
+                    return null;
+                }
+                throw error;
+            });
+
+        if (contents !== null) {
+            for (const [key, entry] of Object.entries(JSON.parse(contents).files ?? {})) {
+                manifest.#entries.set(key, entry);
+            }
+        }
+        return manifest;
+    }
+    /**
+     * Get the SHA-256 hash of a file's contents.
+     * 
+     * @param {string} pathname
+     * 
+     * @returns {Promise<string>}
+     */
+    static async hashFile(pathname) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            createReadStream(pathname)
+                .on('error', error => {
+                    reject(new FileOpenError(error.message, pathname));
+                })
+                .on('data', chunk => {
+                    hash.update(chunk);
+                })
+                .on('end', () => {
+                    resolve(hash.digest('hex'));
+                });
+        });
+    }
+    /**
+     * Get the key of a file: its pathname relative to the manifest, using forward slashes.
+     * 
+     * @param {string} pathname
+     * 
+     * @returns {string}
+     */
+    #getKey(pathname) {
+        return relative(dirname(resolve(this.filename)), resolve(pathname)).split(sep).join('/');
+    }
+    /**
+     * Get the record of a file's last successful upload. Returns null if it hasn't been uploaded.
+     * 
+     * @param {string} pathname
+     * 
+     * @returns {manifestEntry|null}
+     */
+    get(pathname) {
+        return this.#entries.get(this.#getKey(pathname)) ?? null;
+    }
+    /**
+     * Check if a file is unchanged since its last upload: its contents are the same and it would be
+     * uploaded to the same public ID and folder. A file with a new public ID, e.g. because the naming
+     * options or its folder param changed, has to be uploaded again.
+     * 
+     * @param {manifestEntry|null} entry
+     * 
+     * @param {string} sha256 - Hash of the file's contents.
+     * 
+     * @param {{}} params - Upload params of the file, with its public ID and folder.
+     * 
+     * @returns {boolean}
+     */
+    static isUnchanged(entry, sha256, params) {
+        if (entry === null || entry.sha256 !== sha256) {
+            return false;
+        }
+        /* accounts with dynamic folders return the public ID without the folder */
+        return entry.publicId === fullPublicId(params) ||
+            (entry.publicId === params.public_id && (entry.assetFolder ?? '') === (params.folder ?? ''));
+    }
+    /**
+     * Record a file's successful upload.
+     * 
+     * @param {string} pathname
+     * 
+     * @param {string} sha256 - Hash of the file's contents.
+     * 
+     * @param {{}} response - Object returned by Cloudinary detailing the upload.
+     */
+    set(pathname, sha256, response) {
+        this.#entries.set(this.#getKey(pathname), {
+            sha256,
+            publicId: response.public_id,
+            assetFolder: response.asset_folder,
+            version: response.version,
+            secureUrl: response.secure_url,
+            width: response.width,
+            height: response.height,
+            format: response.format
+        });
+    }
+    /**
+     * Write the manifest to its file.
+     * 
+     * @returns {Promise<void>}
+     */
+    async save() {
+        /* sort without regard to locale so the file is identical on every machine */
+        const files = Object.fromEntries(
+            [...this.#entries].sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+        );
+        /* write to a temporary file first so a crash mid-write can't corrupt the manifest */
+        const tempFilename = this.filename + '.tmp';
+        await writeFile(
+            tempFilename,
+            JSON.stringify({ version: MANIFEST_VERSION, files }, null, 2) + '\n',
+            'utf-8'
+        );
+        await rename(tempFilename, this.filename);
+    }
+};
+
+module.exports = UploadManifest;
\ No newline at end of file
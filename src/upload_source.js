@@ -0,0 +1,98 @@
+const { Readable } = require('stream');
+
+/* kinds of content that can be uploaded */
+const KINDS = Object.freeze({
+    FILE: 'file',
+    URL: 'url',
+    DATA_URI: 'data URI',
+    BUFFER: 'buffer',
+    STREAM: 'stream'
+});
+
+/**
+ * Class describing content to upload: a local file, a remote URL or data URI that Cloudinary
+ * fetches or decodes itself, a Buffer, or a readable stream of unknown or known size.
+ */
+const UploadSource = class {
+    static KINDS = KINDS;
+
+    /**
+     * @param {string} kind - One of UploadSource.KINDS.
+     * 
+     * @param {string|Buffer|Readable} value - Pathname, URL, data URI, Buffer or stream.
+     * 
+     * @param {string} id - Identifier of the content in events and errors, in place of a pathname.
+     * 
+     * @param {number|null} size - Size of the content in bytes, if known.
+     * 
+     * @param {string|null} filename - Filename sent with the content; null for content Cloudinary
+     * fetches or decodes itself.
+     */
+    constructor(kind, value, id, size, filename) {
+        this.kind = kind;
+        this.value = value;
+        this.id = id;
+        this.size = size;
+        this.filename = filename;
+    }
+    /**
+     * Describe content to upload. Strings beginning with http:// or https:// are remote URLs,
+     * strings beginning with data: are data URIs and other strings are local pathnames.
+     * 
+     * @param {string|Buffer|Readable|UploadSource} content
+     * 
+     * @param {Object} options
+     * 
+     * @param {string|null} options.name - Identifier of the content in events and errors, and the
+     * filename sent with a Buffer or stream. Defaults to the pathname or URL, a summary of a data
+     * URI or Buffer, or the path of a file stream.
+     * 
+     * @param {number|null} options.size - Size of a stream in bytes, if known. Streams of unknown size
+     * are uploaded in chunks until they end.
+     * 
+     * @returns {UploadSource}
+     */
+    static from(content, { name = null, size = null } = {}) {
+        if (content instanceof UploadSource) {
+            return content;
+        }
+        if (Buffer.isBuffer(content)) {
+            return new UploadSource(
+                KINDS.BUFFER, content, name ?? `buffer (${content.length} bytes)`, content.length, name ?? 'file'
+            );
+        }
+        if (content instanceof Readable) {
+            if (size !== null && (!Number.isInteger(size) || size < 0)) {
+                throw new TypeError(`Stream size must be a non-negative integer; got "${size}".`);
+            }
+            /* file streams have a path that identifies them better than a generic name */
+            const path = typeof content.path === 'string' ? content.path : null;
+            return new UploadSource(KINDS.STREAM, content, name ?? path ?? 'stream', size, name ?? path ?? 'file');
+        }
+        if (typeof content !== 'string') {
+            throw new TypeError('Content to upload must be a pathname, URL, data URI, Buffer or readable stream.');
+        }
+        if (/^https?:\/\//i.test(content)) {
+            return new UploadSource(KINDS.URL, content, name ?? content, null, null);
+        }
+        if (/^data:/i.test(content)) {
+            /* data URIs can be very long so only their media type is used to identify them */
+            const mediaType = content.slice(5, content.indexOf(',')).split(';')[0] || 'text/plain';
+            return new UploadSource(
+                KINDS.DATA_URI, content, name ?? `data URI (${mediaType}, ${content.length} characters)`, null, null
+            );
+        }
+        return new UploadSource(KINDS.FILE, content, name ?? content, null, content);
+    }
+    /**
+     * Check if Cloudinary fetches or decodes the content itself, in which case it's sent as a
+     * string in a single request rather than as file data.
+     * 
+     * @returns {boolean}
+     */
+    get isRemote() {
+        return this.kind === KINDS.URL || this.kind === KINDS.DATA_URI;
+    }
+};
+
+module.exports = UploadSource;
\ No newline at end of file
@@ -0,0 +1,167 @@
+const { readFile, writeFile, rename, unlink } = require('fs/promises');
+
+const { resolve } = require('path');
+
+const { UploadStateError } = require('./errors');
+
+/* default file used to persist chunked upload sessions between runs */
+const DEFAULT_STATE_FILENAME = '.cloudinary_upload_state.json';
+
+/**
+ * @typedef {Object} uploadSession - Progress of a chunked upload that hasn't finished yet.
+ * 
+ * @property {number} size - Size of the file, in bytes, when the upload began.
+ * 
+ * @property {number} mtimeMs - Last modification time of the file when the upload began.
+ * 
+ * @property {string} uploadId - The X-Unique-Upload-Id shared by every chunk of the upload.
+ * 
+ * @property {string} paramsHash - Hash of the upload parameters the session was started with.
+ * 
+ * @property {{start: number, end: number}} lastRange - Byte range of the last chunk Cloudinary
+ * acknowledged; end is exclusive.
+ */
+
+/**
+ * Class that persists chunked upload sessions to a local state file so an interrupted
+ * upload can continue from its last acknowledged chunk on the next run.
+ */
+const UploadState = class {
+    /** @type {Map<string, uploadSession>} */
+    #sessions = new Map();
+
+    /* chain of pending writes; writes are serialized so concurrent uploads can't clobber
+        each other's changes */
+    #pendingWrite = Promise.resolve();
+
+    static DEFAULT_STATE_FILENAME = DEFAULT_STATE_FILENAME;
+
+    /**
+     * @param {string} filename - File used to persist upload sessions.
+     */
+    constructor(filename = DEFAULT_STATE_FILENAME) {
+        this.filename = filename;
+    }
+    /**
+     * Read previously persisted upload sessions from a state file. Returns an empty state
+     * if the file doesn't exist.
+     * 
+     * @param {string} filename
+     * 
+     * @returns {Promise<UploadState>}
+     * 
+     * @throws {UploadStateError} If the state file can't be read or isn't valid JSON.
+     */
+    static async load(filename = DEFAULT_STATE_FILENAME) {
+        const state = new UploadState(filename);
+
+        try {
+            const contents = await readFile(filename, 'utf-8')
+                .catch(error => {
+                    if (error.code === 'ENOENT') {
+                        return null;
+                    }
+                    throw error;
+                });
+
+            if (contents !== null) {
+                for (const [pathname, session] of Object.entries(JSON.parse(contents))) {
+                    state.#sessions.set(pathname, session);
+                }
+            }
+        }
+        catch (error) {
+            throw new UploadStateError(error.message, filename, filename);
+        }
+        return state;
+    }
+    /**
+     * Get the unfinished session for a file. Returns null if there isn't one or if the file
+     * has changed since the session began.
+     * 
+     * @param {string} pathname
+     * 
+     * @param {Object} fileInfo
+     * 
+     * @param {number} fileInfo.size
+     * 
+     * @param {number} fileInfo.mtimeMs
+     * 
+     * @param {string} fileInfo.paramsHash
+     * 
+     * @returns {uploadSession|null}
+     */
+    get(pathname, { size, mtimeMs, paramsHash }) {
+        const session = this.#sessions.get(resolve(pathname));
+        if (!session ||
+            session.size !== size ||
+            session.mtimeMs !== mtimeMs ||
+            session.paramsHash !== paramsHash) {
+            return null;
+        }
+        return session;
+    }
+    /**
+     * Record the progress of a file's upload and persist it.
+     * 
+     * @param {string} pathname
+     * 
+     * @param {uploadSession} session
+     * 
+     * @returns {Promise<void>}
+     * 
+     * @throws {UploadStateError} If the state file can't be written.
+     */
+    async set(pathname, session) {
+        this.#sessions.set(resolve(pathname), session);
+        return this.#save(pathname);
+    }
+    /**
+     * Forget a file's session, typically after its upload has finished.
+     * 
+     * @param {string} pathname
+     * 
+     * @returns {Promise<void>}
+     * 
+     * @throws {UploadStateError} If the state file can't be written or removed.
+     */
+    async delete(pathname) {
+        if (this.#sessions.delete(resolve(pathname))) {
+            return this.#save(pathname);
+        }
+    }
+    /**
+     * Write all sessions to the state file, or remove the file if none are left.
+     * 
+     * @param {string} pathname - File whose session changed.
+     * 
+     * @returns {Promise<void>}
+     */
+    async #save(pathname) {
+        const write = this.#pendingWrite.then(async () => {
+            if (this.#sessions.size === 0) {
+                await unlink(this.filename).catch(error => {
+                    if (error.code !== 'ENOENT') {
+                        throw error;
+                    }
+                });
+                return;
+            }
+            /* write to a temporary file first so a crash mid-write can't corrupt the state */
+            const tempFilename = this.filename + '.tmp';
+            await writeFile(
+                tempFilename,
+                JSON.stringify(Object.fromEntries(this.#sessions), null, 2),
+                'utf-8'
+            );
+            await rename(tempFilename, this.filename);
+        });
+        /* keep the chain going even if this write fails */
+        this.#pendingWrite = write.catch(() => {});
+        return write.catch(error => {
+            throw new UploadStateError(error.message, pathname, this.filename);
+        });
+    }
+};
+
+module.exports = UploadState;
\ No newline at end of file